@@ -1,3 +1,15 @@
-export { FfmpegCommand };
 import { FfmpegCommand } from "./lib/fluent-ffmpeg";
+import { FfmpegQueue } from "./lib/queue";
+import { FfmpegJob } from "./lib/queue";
+import { FfmpegError } from "./lib/errors";
+import { FfmpegSpawnError } from "./lib/errors";
+import { FfmpegExitError } from "./lib/errors";
+import { FfmpegSignalError } from "./lib/errors";
+import { FfmpegTimeoutError } from "./lib/errors";
+import { FfmpegStalledError } from "./lib/errors";
+import { FfmpegInputStreamError } from "./lib/errors";
+import { FfmpegOutputStreamError } from "./lib/errors";
+import { FfmpegCapabilityError } from "./lib/errors";
+import { FfmpegAbortError } from "./lib/errors";
+export { FfmpegCommand, FfmpegQueue, FfmpegJob, FfmpegError, FfmpegSpawnError, FfmpegExitError, FfmpegSignalError, FfmpegTimeoutError, FfmpegStalledError, FfmpegInputStreamError, FfmpegOutputStreamError, FfmpegCapabilityError, FfmpegAbortError };
 //# sourceMappingURL=index.d.ts.map
\ No newline at end of file
@@ -1,5 +1,30 @@
 const { FfmpegCommand } = require('./lib/fluent-ffmpeg');
+const { FfmpegQueue, FfmpegJob } = require('./lib/queue');
+const {
+    FfmpegError,
+    FfmpegSpawnError,
+    FfmpegExitError,
+    FfmpegSignalError,
+    FfmpegTimeoutError,
+    FfmpegStalledError,
+    FfmpegInputStreamError,
+    FfmpegOutputStreamError,
+    FfmpegCapabilityError,
+    FfmpegAbortError
+} = require('./lib/errors');
 
 module.exports = {
-    FfmpegCommand
+    FfmpegCommand,
+    FfmpegQueue,
+    FfmpegJob,
+    FfmpegError,
+    FfmpegSpawnError,
+    FfmpegExitError,
+    FfmpegSignalError,
+    FfmpegTimeoutError,
+    FfmpegStalledError,
+    FfmpegInputStreamError,
+    FfmpegOutputStreamError,
+    FfmpegCapabilityError,
+    FfmpegAbortError
 }
\ No newline at end of file
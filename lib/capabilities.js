@@ -5,6 +5,7 @@ var fs = require('fs');
 var path = require('path');
 var async = require('async');
 var utils = require('./utils');
+var errors = require('./errors');
 
 /*
  *! Capability helpers
@@ -16,14 +17,805 @@ var ffEncodersRegexp = /\(encoders:([^\)]+)\)/;
 var ffDecodersRegexp = /\(decoders:([^\)]+)\)/;
 var encodersRegexp = /^\s*([VAS\.])([F\.])([S\.])([X\.])([B\.])([D\.]) ([^ ]+) +(.*)$/;
 var formatRegexp = /^\s*([D ])([E ])\s+([^ ]+)\s+(.*)$/;
+var pixelFormatRegexp = /^([I\.])([O\.])([H\.])([P\.])([B\.]) (\S+)\s+(\d+)\s+(\d+)/;
+var sampleFormatRegexp = /^(\S+)\s+(\d+)\s*$/;
+var channelLayoutRegexp = /^(\S+)\s+(.+?)\s*$/;
+var listItemRegexp = /^\s*(\S+)\s*$/;
 var lineBreakRegexp = /\r\n|\r|\n/;
-var filterRegexp = /^(?: [T\.][S\.][C\.] )?([^ ]+) +(AA?|VV?|\|)->(AA?|VV?|\|) +(.*)$/;
+var progressOptionRegexp = /^-progress /m;
+var streamTypeRegexp = /^\d+:([av])(?::|$)/;
+var filterRegexp = /^(?: [T\.][S\.][C\.] )?([^ ]+) +([AVN]+|\|)->([AVN]+|\|) +(.*)$/;
+var versionRegexp = /^ffmpeg version (\S+)/;
+var releaseRegexp = /^n?(\d+)\.(\d+)(?:\.(\d+))?/;
+var libraryRegexp = /^\s*(lib\w+)\s+(\d+)\.\s*(\d+)\.\s*(\d+)/;
+var configurationRegexp = /^configuration:(.*)$/;
+var helpHeaderRegexp = /^(Encoder|Muxer|Filter) (\S+)(?: \[(.*)\]:)?$/;
+var helpOptionsRegexp = /AVOptions:$/;
+var helpOptionRegexp = /^ {2}-?(\S+)\s+<(\w+)>\s+([A-Za-z.]{8,})(?:\s+(.*))?$/;
+var helpValueRegexp = /^ {4,}(\S+)(?:\s+(-?\d\S*))?\s+([A-Za-z.]{8,})(?:\s+(.*))?$/;
+var helpRangeRegexp = /\s*\(from (\S+) to (\S+)\)/;
+var helpDefaultRegexp = /\s*\(default (.*)\)\s*$/;
+var coderCodecRegexp = /\(codec (\S+)\)$/;
+var helpPadRegexp = /^\s+(?:#\d+: (\S+) \((\w+)\)|(dynamic))/;
+var numberRegexp = /^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/;
+
+var pathKeys = ['ffmpegPath', 'ffprobePath', 'flvtoolPath'];
+
+// Binary paths by profile name, explicitly set or found when first needed
+var profiles = { default: {} };
+
+// Capabilities by ffmpeg binary path
+var capabilities = {};
+
+// Capability cache file (see FfmpegCommand.setCapabilityCachePath), its layout version,
+// its entries by ffmpeg binary path once loaded and whether a write is scheduled
+var cacheFile = null;
+var cacheFormat = 1;
+var cacheEntries = null;
+var cacheWriteScheduled = false;
+
+// Codecs supported by output formats accepting a restricted set of codecs, by stream
+// type; other output formats (eg. matroska) and stream types are not checked
+var muxerCodecs = {
+  mp4: {
+    video: ['h264', 'hevc', 'mpeg4', 'av1', 'vp9', 'mpeg1video', 'mpeg2video', 'mjpeg', 'png', 'vc1', 'dirac'],
+    audio: ['aac', 'mp3', 'mp2', 'ac3', 'eac3', 'alac', 'opus', 'flac', 'dts', 'vorbis', 'truehd']
+  },
+  webm: {
+    video: ['vp8', 'vp9', 'av1'],
+    audio: ['vorbis', 'opus']
+  },
+  ogg: {
+    video: ['theora', 'vp8'],
+    audio: ['vorbis', 'opus', 'flac', 'speex']
+  },
+  opus: {
+    audio: ['opus']
+  },
+  flv: {
+    video: ['flv1', 'h263', 'mpeg4', 'flashsv', 'flashsv2', 'vp6f', 'vp6', 'vp6a', 'h264'],
+    audio: ['mp3', 'aac', 'pcm_u8', 'pcm_s16be', 'pcm_s16le', 'adpcm_swf', 'nellymoser', 'pcm_mulaw', 'pcm_alaw', 'speex']
+  },
+  mp3: {
+    video: ['png', 'mjpeg'],
+    audio: ['mp3']
+  },
+  adts: {
+    audio: ['aac']
+  },
+  gif: {
+    video: ['gif']
+  }
+};
+
+// Output formats chosen by ffmpeg for output file extensions
+var extensionMuxers = {
+  mp4: 'mp4',
+  m4v: 'mp4',
+  webm: 'webm',
+  ogg: 'ogg',
+  ogv: 'ogg',
+  oga: 'ogg',
+  opus: 'opus',
+  flv: 'flv',
+  mp3: 'mp3',
+  aac: 'adts',
+  gif: 'gif'
+};
+
+
+/**
+ * Get a binary path from the profile of a command, looking it up when unknown
+ *
+ * @param {FfmpegCommand} command
+ * @param {String} key path key, one of 'ffmpegPath', 'ffprobePath' or 'flvtoolPath'
+ * @param {Function} lookup function looking up the path, with signature (callback)
+ * @param {Function} callback callback with signature (err, path)
+ * @private
+ */
+function getProfilePath(command, key, lookup, callback) {
+  var profile = command._binaryProfile();
+
+  if (!profile) {
+    return callback(new Error('Unknown binary profile: ' + command.options.profile));
+  }
+
+  if (key in profile) {
+    return callback(null, profile[key]);
+  }
+
+  lookup(function(err, binary) {
+    if (err) {
+      callback(err);
+    } else {
+      callback(null, profile[key] = (binary || ''));
+    }
+  });
+}
+
+
+/**
+ * Convert a value from ffmpeg help output to a number or boolean when possible
+ *
+ * @param {String} value value
+ * @param {String} type option type
+ * @return {String|Number|Boolean}
+ * @private
+ */
+function parseHelpValue(value, type) {
+  if (numberRegexp.test(value)) {
+    return Number(value);
+  }
+
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+
+/**
+ * Read capability cache file entries, once
+ *
+ * Unreadable or outdated cache files are ignored, and overwritten on next write.
+ *
+ * @param {Function} callback callback with signature (entries)
+ * @private
+ */
+function readCacheFile(callback) {
+  if (cacheEntries) {
+    return callback(cacheEntries);
+  }
+
+  var file = cacheFile;
+
+  fs.readFile(file, 'utf8', function(err, content) {
+    var entries = {};
+
+    if (!err) {
+      try {
+        var data = JSON.parse(content);
+        if (data && data.format === cacheFormat && data.binaries) {
+          entries = data.binaries;
+        }
+      } catch(e) {
+        // Ignore invalid cache files
+      }
+    }
+
+    // Keep entries loaded by concurrent reads, and ignore reads of a previous cache file
+    if (file === cacheFile) {
+      cacheEntries = cacheEntries || entries;
+    }
+
+    callback(cacheEntries || entries);
+  });
+}
+
+
+/**
+ * Write capability cache file entries
+ *
+ * Writes are batched and atomic (using a temporary file); write errors are ignored
+ * as the cache is only an optimization.
+ *
+ * @private
+ */
+function scheduleCacheWrite() {
+  if (!cacheFile || !cacheEntries || cacheWriteScheduled) {
+    return;
+  }
+
+  cacheWriteScheduled = true;
+
+  setImmediate(function() {
+    cacheWriteScheduled = false;
+
+    if (!cacheFile || !cacheEntries) {
+      return;
+    }
+
+    Object.keys(cacheEntries).forEach(function(ffmpegPath) {
+      var entry = cacheEntries[ffmpegPath];
+      entry.version = entry.capabilities.version ? entry.capabilities.version.version : null;
+    });
+
+    var file = cacheFile;
+    var tempFile = file + '.' + process.pid + '.tmp';
+    var content = JSON.stringify({ format: cacheFormat, binaries: cacheEntries });
+
+    fs.writeFile(tempFile, content, function(err) {
+      if (err) {
+        return;
+      }
+
+      fs.rename(tempFile, file, function(err) {
+        if (err) {
+          fs.unlink(tempFile, function() {});
+        }
+      });
+    });
+  });
+}
+
+
+/**
+ * Store a capability query result and persist it when a cache file is set
+ *
+ * @param {Object} cache capability cache (or nested object)
+ * @param {String} key result key
+ * @param {*} value result
+ * @return {*} result
+ * @private
+ */
+function storeCapability(cache, key, value) {
+  cache[key] = value;
+  scheduleCacheWrite();
+
+  return value;
+}
+
+
+/**
+ * Run ffmpeg for a capability query, capturing its whole output
+ *
+ * @param {FfmpegCommand} command command to run ffmpeg from
+ * @param {String[]} args ffmpeg arguments
+ * @param {AbortSignal} [signal] signal aborting the query, in addition to the `signal` command option
+ * @param {Function} callback callback with signature (err, stdoutRing)
+ * @private
+ */
+function spawnQuery(command, args, signal, callback) {
+  var abort = utils.anySignal([command.options.signal, signal]);
+
+  command._spawnFfmpeg(args, { captureStdout: true, stdoutLines: 0, signal: abort.signal }, function(err, stdoutRing) {
+    abort.dispose();
+    callback(err, stdoutRing);
+  });
+}
+
+
+/**
+ * Parse 'ffmpeg -h encoder=...', 'muxer=...' or 'filter=...' output
+ *
+ * Only the first encoder/muxer/filter is parsed, as ffmpeg lists all encoders for
+ * a codec name.  Lines preceding AVOptions are passed to 'parseLine' to extract
+ * properties specific to each kind.
+ *
+ * @param {String} stdout ffmpeg output
+ * @param {Object} data object to store parsed data in, with a 'name' key
+ * @param {Function} parseLine function called with each header line
+ * @return {Object|null} parsed data, null when the help header is missing
+ * @private
+ */
+function parseHelp(stdout, data, parseLine) {
+  var lines = stdout.split(lineBreakRegexp);
+  var header = null;
+  var inOptions = false;
+  var option = null;
+
+  data.options = {};
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    var match = line.match(helpHeaderRegexp);
+
+    if (match) {
+      if (header) {
+        // Next encoder for the same codec
+        break;
+      }
+
+      header = match;
+      data.description = match[3] || '';
+      continue;
+    }
+
+    if (!header || !line.trim().length) {
+      continue;
+    }
+
+    if (helpOptionsRegexp.test(line)) {
+      inOptions = true;
+      continue;
+    }
+
+    if (!inOptions) {
+      parseLine(line, data);
+      continue;
+    }
+
+    match = line.match(helpOptionRegexp);
+    if (match) {
+      var description = match[4] || '';
+      var range = description.match(helpRangeRegexp);
+      var defaultValue = description.match(helpDefaultRegexp);
+
+      option = data.options[match[1]] = {
+        name: match[1],
+        type: match[2],
+        description: description.replace(helpRangeRegexp, '').replace(helpDefaultRegexp, '').trim(),
+        default: defaultValue ? parseHelpValue(defaultValue[1].replace(/^"(.*)"$/, '$1'), match[2]) : null,
+        min: range ? parseHelpValue(range[1], match[2]) : null,
+        max: range ? parseHelpValue(range[2], match[2]) : null,
+        values: []
+      };
+
+      continue;
+    }
+
+    match = line.match(helpValueRegexp);
+    if (match && option) {
+      option.values.push({
+        name: match[1],
+        value: typeof match[2] === 'undefined' ? null : parseHelpValue(match[2], option.type),
+        description: (match[4] || '').trim()
+      });
+    }
+  }
+
+  return header ? data : null;
+}
+
+
+/**
+ * Split a space-separated list from an ffmpeg help line
+ *
+ * @param {String} line help line, eg. '    Supported pixel formats: yuv420p yuv422p'
+ * @return {String[]}
+ * @private
+ */
+function helpList(line) {
+  return line.substr(line.indexOf(':') + 1).trim().split(/\s+/).filter(function(item) {
+    return item.length;
+  });
+}
+
+
+/**
+ * Parse the output of 'ffmpeg -filters'
+ *
+ * @param {String} stdout ffmpeg output
+ * @return {Object} filters by name
+ * @private
+ */
+function parseFilters(stdout) {
+  var data = {};
+  var types = { A: 'audio', V: 'video', N: 'dynamic', '|': 'none' };
+
+  // Count pads, 'N' means a dynamic number of pads and '|' no pad at all
+  function padCount(pads) {
+    if (pads.indexOf('N') !== -1) {
+      return null;
+    }
+
+    return pads === '|' ? 0 : pads.length;
+  }
+
+  stdout.split('\n').forEach(function(line) {
+    var match = line.match(filterRegexp);
+    if (match) {
+      var inputCount = padCount(match[2]);
+      var outputCount = padCount(match[3]);
+
+      data[match[1]] = {
+        description: match[4],
+        input: types[match[2].charAt(0)],
+        multipleInputs: inputCount === null || inputCount > 1,
+        inputCount: inputCount,
+        output: types[match[3].charAt(0)],
+        multipleOutputs: outputCount === null || outputCount > 1,
+        outputCount: outputCount
+      };
+    }
+  });
+
+  return data;
+}
+
+
+/**
+ * Parse the output of 'ffmpeg -codecs'
+ *
+ * @param {String} stdout ffmpeg output
+ * @return {Object} codecs by name
+ * @private
+ */
+function parseCodecs(stdout) {
+  var data = {};
+
+  stdout.split(lineBreakRegexp).forEach(function(line) {
+    var match = line.match(avCodecRegexp);
+    if (match && match[7] !== '=') {
+      data[match[7]] = {
+        type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[3]],
+        description: match[8],
+        canDecode: match[1] === 'D',
+        canEncode: match[2] === 'E',
+        drawHorizBand: match[4] === 'S',
+        directRendering: match[5] === 'D',
+        weirdFrameTruncation: match[6] === 'T'
+      };
+    }
+
+    match = line.match(ffCodecRegexp);
+    if (match && match[7] !== '=') {
+      var codecData = data[match[7]] = {
+        type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[3]],
+        description: match[8],
+        canDecode: match[1] === 'D',
+        canEncode: match[2] === 'E',
+        intraFrameOnly: match[4] === 'I',
+        isLossy: match[5] === 'L',
+        isLossless: match[6] === 'S'
+      };
+
+      var encoders = codecData.description.match(ffEncodersRegexp);
+      encoders = encoders ? encoders[1].trim().split(' ') : [];
+
+      var decoders = codecData.description.match(ffDecodersRegexp);
+      decoders = decoders ? decoders[1].trim().split(' ') : [];
+
+      if (encoders.length || decoders.length) {
+        var coderData = {};
+        utils.copy(codecData, coderData);
+        delete coderData.canEncode;
+        delete coderData.canDecode;
+
+        encoders.forEach(function(name) {
+          data[name] = {};
+          utils.copy(coderData, data[name]);
+          data[name].canEncode = true;
+        });
+
+        decoders.forEach(function(name) {
+          if (name in data) {
+            data[name].canDecode = true;
+          } else {
+            data[name] = {};
+            utils.copy(coderData, data[name]);
+            data[name].canDecode = true;
+          }
+        });
+      }
+    }
+  });
+
+  return data;
+}
+
+
+/**
+ * Parse the output of 'ffmpeg -formats'
+ *
+ * @param {String} stdout ffmpeg output
+ * @return {Object} formats by name
+ * @private
+ */
+function parseFormats(stdout) {
+  var data = {};
+
+  stdout.split(lineBreakRegexp).forEach(function(line) {
+    var match = line.match(formatRegexp);
+    if (match) {
+      match[3].split(',').forEach(function(format) {
+        if (!(format in data)) {
+          data[format] = {
+            description: match[4],
+            canDemux: false,
+            canMux: false
+          };
+        }
+
+        if (match[1] === 'D') {
+          data[format].canDemux = true;
+        }
+        if (match[2] === 'E') {
+          data[format].canMux = true;
+        }
+      });
+    }
+  });
+
+  return data;
+}
+
+
+/**
+ * Parse the output of 'ffmpeg -encoders' or 'ffmpeg -decoders'
+ *
+ * @param {String} stdout ffmpeg output
+ * @return {Object} encoders or decoders by name
+ * @private
+ */
+function parseCoders(stdout) {
+  var data = {};
+
+  stdout.split(lineBreakRegexp).forEach(function(line) {
+    var match = line.match(encodersRegexp);
+    if (match && match[7] !== '=') {
+      var codec = match[8].match(coderCodecRegexp);
+
+      data[match[7]] = {
+        type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[1]],
+        description: match[8],
+        codec: codec ? codec[1] : match[7],
+        frameMT: match[2] === 'F',
+        sliceMT: match[3] === 'S',
+        experimental: match[4] === 'X',
+        drawHorizBand: match[5] === 'B',
+        directRendering: match[6] === 'D'
+      };
+    }
+  });
+
+  return data;
+}
+
+
+/**
+ * Parse a list of names following a header line (eg. 'Bitstream filters:')
+ *
+ * @param {String} stdout ffmpeg output
+ * @return {String[]} names
+ * @private
+ */
+function parseNameList(stdout) {
+  var names = [];
+  var started = false;
+
+  stdout.split(lineBreakRegexp).forEach(function(line) {
+    var match = line.match(listItemRegexp);
+
+    if (!started) {
+      started = /:$/.test(line);
+    } else if (match) {
+      names.push(match[1]);
+    }
+  });
+
+  return names;
+}
+
+
+/**
+ * Parse ffmpeg version and build configuration from '-version' output
+ *
+ * @param {String} stdout ffmpeg output
+ * @return {Object} version object (see FfmpegCommand~versionCallback)
+ * @private
+ */
+function parseVersion(stdout) {
+  var lines = stdout.split(lineBreakRegexp);
+  var data = {
+    version: null,
+    major: null,
+    minor: null,
+    patch: null,
+    libraries: {},
+    configuration: [],
+    features: []
+  };
+
+  lines.forEach(function(line) {
+    var match = line.match(versionRegexp);
+    if (match) {
+      data.version = match[1];
+
+      var release = match[1].match(releaseRegexp);
+      if (release) {
+        data.major = Number(release[1]);
+        data.minor = Number(release[2]);
+        data.patch = Number(release[3] || 0);
+      }
+    }
+
+    match = line.match(libraryRegexp);
+    if (match) {
+      data.libraries[match[1]] = {
+        major: Number(match[2]),
+        minor: Number(match[3]),
+        micro: Number(match[4])
+      };
+    }
+
+    match = line.match(configurationRegexp);
+    if (match) {
+      data.configuration = match[1].trim().split(/\s+/).filter(function(flag) {
+        return flag.length;
+      });
+
+      data.features = data.configuration
+        .filter(function(flag) {
+          return flag.indexOf('--enable-') === 0 && flag.indexOf('=') === -1;
+        })
+        .map(function(flag) {
+          return flag.substr(9);
+        });
+    }
+  });
+
+  return data;
+}
+
+
+/**
+ * Describe the type of a stream label from a filter graph
+ *
+ * @param {String} label stream label, eg. '0:v' or 'scaled'
+ * @param {Object} links filter names by output label in the graph
+ * @param {Object} filters available filters
+ * @return {Object} object with 'type' (one of 'audio', 'video' or null when unknown) and 'from' keys
+ * @private
+ */
+function labelType(label, links, filters) {
+  var match = label.match(streamTypeRegexp);
+
+  if (match) {
+    var type = match[1] === 'a' ? 'audio' : 'video';
+    return { type: type, from: type + ' stream [' + label + ']' };
+  }
+
+  if (label in links) {
+    var output = filters[links[label]].output;
+    return { type: output, from: output + ' output [' + label + '] of filter ' + links[label] };
+  }
+
+  return { type: null };
+}
+
+
+/**
+ * Check a parsed filter graph against available filters
+ *
+ * When a stream type is given, the graph is handled as a simple filter graph
+ * (ie. passed with -filter:a or -filter:v), whose open ends are connected to a
+ * stream of that type.  Open ends are labels that no other filter in the graph
+ * produces or consumes (eg. '[in]' and '[out]'), or else the input of the first
+ * filter and the output of the last filter.  Source filters (ie. filters without
+ * inputs, such as 'movie') never take the input stream.
+ *
+ * @param {Array[]} chains filter chains, as returned by utils.parseFilterGraph
+ * @param {Object} filters available filters
+ * @param {String|null} streamType stream type of simple filter graphs, null for complex filter graphs
+ * @param {Function} position function returning a filter position description,
+ *   called with (chain index, filter index in chain, filter index in graph)
+ * @return {String|null} error message, or null when the graph is valid
+ * @private
+ */
+function checkFilterGraph(chains, filters, streamType, position) {
+  var links = {};
+  var consumed = {};
+  var index = 0;
+
+  // Check filter availability and collect output labels
+  for (var c = 0; c < chains.length; c++) {
+    for (var i = 0; i < chains[c].length; i++, index++) {
+      var filter = chains[c][i];
+
+      if (!(filter.name in filters)) {
+        return 'Filter ' + filter.name + ' (' + position(c, i, index) + ') is not available';
+      }
+
+      filter.outputs.forEach(function(label) {
+        links[label] = filter.name;
+      });
+
+      filter.inputs.forEach(function(label) {
+        consumed[label] = true;
+      });
+    }
+  }
+
+  // Find open ends of simple filter graphs
+  var openInput = false;
+  var openOutput = false;
+  var streamInputs = 0;
+
+  if (streamType) {
+    openInput = Object.keys(consumed).some(function(label) {
+      return !(label in links);
+    });
+
+    openOutput = Object.keys(links).some(function(label) {
+      return !(label in consumed);
+    });
+  }
+
+  // Check filter inputs and outputs
+  index = 0;
+  for (c = 0; c < chains.length; c++) {
+    var chain = chains[c];
+
+    for (i = 0; i < chain.length; i++, index++) {
+      filter = chain[i];
+
+      var spec = filters[filter.name];
+      var where = 'Filter ' + filter.name + ' (' + position(c, i, index) + ')';
+      var firstFilter = c === 0 && i === 0;
+      var lastFilter = c === chains.length - 1 && i === chain.length - 1;
+
+      var inputs = filter.inputs.map(function(label) {
+        if (streamType && !(label in links)) {
+          streamInputs++;
+          return { type: streamType, from: streamType + ' stream [' + label + ']' };
+        }
+
+        return labelType(label, links, filters);
+      });
+
+      if (i > 0) {
+        var previous = chain[i - 1].name;
+        inputs.push({ type: filters[previous].output, from: filters[previous].output + ' output of filter ' + previous });
+      } else if (streamType && firstFilter && !filter.inputs.length && !openInput && spec.inputCount !== 0) {
+        streamInputs++;
+        inputs.push({ type: streamType, from: streamType + ' stream' });
+      }
+
+      var streamOutput = streamType && (
+        (lastFilter && !filter.outputs.length && !openOutput) ||
+        filter.outputs.some(function(label) { return !(label in consumed); })
+      );
+
+      var outputCount = filter.outputs.length;
+      if (i < chain.length - 1 || (streamType && lastFilter && !filter.outputs.length && !openOutput)) {
+        outputCount++;
+      }
+
+      if (spec.inputCount !== null && inputs.length > spec.inputCount) {
+        return where + ' is connected to ' + inputs.length + ' input' + (inputs.length !== 1 ? 's' : '') +
+          ' but accepts ' + (spec.inputCount ? 'at most ' + spec.inputCount : 'none');
+      }
+
+      if (spec.outputCount !== null && outputCount > spec.outputCount) {
+        return where + ' is connected to ' + outputCount + ' output' + (outputCount !== 1 ? 's' : '') +
+          ' but produces ' + (spec.outputCount ? 'at most ' + spec.outputCount : 'none');
+      }
+
+      // Simple filter graphs have no unconnected pads that ffmpeg could connect to streams
+      if (streamType && spec.inputCount !== null && inputs.length < spec.inputCount) {
+        return where + ' is connected to ' + inputs.length + ' input' + (inputs.length !== 1 ? 's' : '') +
+          ' but expects ' + spec.inputCount;
+      }
+
+      if (streamType && spec.outputCount !== null && outputCount < spec.outputCount) {
+        return where + ' is connected to ' + outputCount + ' output' + (outputCount !== 1 ? 's' : '') +
+          ' but produces ' + spec.outputCount;
+      }
+
+      // Check media types when both ends have a known type
+      if (spec.input === 'audio' || spec.input === 'video') {
+        for (var j = 0; j < inputs.length; j++) {
+          var input = inputs[j];
+
+          if ((input.type === 'audio' || input.type === 'video') && input.type !== spec.input) {
+            return where + ' expects ' + spec.input + ' input but receives ' + input.from;
+          }
+        }
+      }
+
+      if (streamOutput && (spec.output === 'audio' || spec.output === 'video') && spec.output !== streamType) {
+        return where + ' produces ' + spec.output + ' output but ' + streamType + ' output is expected';
+      }
+    }
+  }
+
+  if (streamType && !streamInputs) {
+    return 'Filter ' + chains[0][0].name + ' (' + position(0, 0, 0) + ') accepts no input, so the ' +
+      streamType + ' stream is not connected';
+  }
+
+  return null;
+}
 
-var cache = {};
 
 module.exports = function(proto) {
   /**
-   * Manually define the ffmpeg binary full path.
+   * Manually define the ffmpeg binary full path for this command.
+   *
+   * Use {@link FfmpegCommand.setFfmpegPath} to define it for all commands using
+   * the default binary profile instead.
    *
    * @method FfmpegCommand#setFfmpegPath
    *
@@ -31,12 +823,16 @@ module.exports = function(proto) {
    * @return FfmpegCommand
    */
   proto.setFfmpegPath = function(ffmpegPath) {
-    cache.ffmpegPath = ffmpegPath;
+    this.options.ffmpegPath = ffmpegPath;
+    delete this._profile;
     return this;
   };
 
   /**
-   * Manually define the ffprobe binary full path.
+   * Manually define the ffprobe binary full path for this command.
+   *
+   * Use {@link FfmpegCommand.setFfprobePath} to define it for all commands using
+   * the default binary profile instead.
    *
    * @method FfmpegCommand#setFfprobePath
    *
@@ -44,12 +840,16 @@ module.exports = function(proto) {
    * @return FfmpegCommand
    */
   proto.setFfprobePath = function(ffprobePath) {
-    cache.ffprobePath = ffprobePath;
+    this.options.ffprobePath = ffprobePath;
+    delete this._profile;
     return this;
   };
 
   /**
-   * Manually define the flvtool2/flvmeta binary full path.
+   * Manually define the flvtool2/flvmeta binary full path for this command.
+   *
+   * Use {@link FfmpegCommand.setFlvtoolPath} to define it for all commands using
+   * the default binary profile instead.
    *
    * @method FfmpegCommand#setFlvtoolPath
    *
@@ -57,12 +857,76 @@ module.exports = function(proto) {
    * @return FfmpegCommand
    */
   proto.setFlvtoolPath = function(flvtool) {
-    cache.flvtoolPath = flvtool;
+    this.options.flvtoolPath = flvtool;
+    delete this._profile;
     return this;
   };
 
   /**
-   * Forget executable paths
+   * Define binary paths of a named profile
+   *
+   * Paths are merged with those already defined for the profile, and paths that
+   * are not defined are looked up as usual when first needed.  The default profile
+   * is named 'default'.
+   *
+   * @method FfmpegCommand#_setProfilePaths
+   * @param {String} name profile name
+   * @param {Object} paths binary paths, with 'ffmpegPath', 'ffprobePath' and/or 'flvtoolPath' keys
+   * @private
+   */
+  proto._setProfilePaths = function(name, paths) {
+    var profile = profiles[name] = profiles[name] || {};
+
+    pathKeys.forEach(function(key) {
+      if (key in paths) {
+        profile[key] = paths[key];
+      }
+    });
+  };
+
+  /**
+   * Get the binary profile of the command
+   *
+   * Commands use the profile named by their 'profile' option, or the default profile.
+   * Binary paths set on the command itself override those of the profile, in which
+   * case the command gets its own copy of the profile.
+   *
+   * @method FfmpegCommand#_binaryProfile
+   * @return {Object|null} profile object with binary paths as keys, null for unknown profiles
+   * @private
+   */
+  proto._binaryProfile = function() {
+    if (!this._profile) {
+      var options = this.options;
+      var profile = profiles[options.profile || 'default'];
+
+      if (!profile) {
+        return null;
+      }
+
+      var overrides = pathKeys.filter(function(key) {
+        return key in options;
+      });
+
+      if (overrides.length) {
+        var own = {};
+        utils.copy(profile, own);
+
+        overrides.forEach(function(key) {
+          own[key] = options[key];
+        });
+
+        profile = own;
+      }
+
+      this._profile = profile;
+    }
+
+    return this._profile;
+  };
+
+  /**
+   * Forget executable paths of the default profile and of this command
    *
    * (only used for testing purposes)
    *
@@ -70,9 +934,133 @@ module.exports = function(proto) {
    * @private
    */
   proto._forgetPaths = function() {
-    delete cache.ffmpegPath;
-    delete cache.ffprobePath;
-    delete cache.flvtoolPath;
+    var self = this;
+
+    pathKeys.forEach(function(key) {
+      delete profiles.default[key];
+      delete self.options[key];
+    });
+
+    delete this._profile;
+  };
+
+  /**
+   * Get capability results for the ffmpeg binary used by the command
+   *
+   * @method FfmpegCommand#_getCapabilityCache
+   * @param {Function} callback callback with signature (err, cache)
+   * @private
+   */
+  proto._getCapabilityCache = function(callback) {
+    var self = this;
+
+    this._getFfmpegPath(function(err, ffmpegPath) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (ffmpegPath in capabilities || !cacheFile) {
+        return callback(null, capabilities[ffmpegPath] = capabilities[ffmpegPath] || {});
+      }
+
+      // Load capabilities from the cache file, unless the binary changed since they were saved
+      fs.stat(ffmpegPath, function(err, stats) {
+        if (err) {
+          // Let queries report spawn errors
+          return callback(null, capabilities[ffmpegPath] = capabilities[ffmpegPath] || {});
+        }
+
+        readCacheFile(function(entries) {
+          var entry = entries[ffmpegPath];
+          var mtime = stats.mtime.getTime();
+
+          if (!entry || entry.mtime !== mtime || entry.size !== stats.size || !entry.capabilities) {
+            return useEntry(null, null);
+          }
+
+          // Binaries may also be replaced without changing their modification time and size
+          spawnQuery(self, ['-version'], null, function(err, stdoutRing) {
+            if (err) {
+              // Let queries report spawn errors
+              return useEntry(null, null);
+            }
+
+            var version = parseVersion(stdoutRing.get());
+            useEntry(version.version === entry.version ? entry : null, version);
+          });
+
+          function useEntry(current, version) {
+            if (!current) {
+              current = entries[ffmpegPath] = { mtime: mtime, size: stats.size, version: null, capabilities: {} };
+            }
+
+            var cache = capabilities[ffmpegPath] = capabilities[ffmpegPath] || current.capabilities;
+            current.capabilities = cache;
+
+            if (version && !('version' in cache)) {
+              storeCapability(cache, 'version', version);
+            }
+
+            if ('version' in cache) {
+              return callback(null, cache);
+            }
+
+            // Record the version of new binaries in the cache file
+            self.getVersion(function() {
+              callback(null, cache);
+            });
+          }
+        });
+      });
+    });
+  };
+
+  /**
+   * Set the capability cache file
+   *
+   * @method FfmpegCommand#_setCapabilityCachePath
+   * @param {String|null} file cache file path, null to disable the cache file
+   * @private
+   */
+  proto._setCapabilityCachePath = function(file) {
+    cacheFile = file || null;
+    cacheEntries = null;
+
+    // Reload capabilities from the new cache file
+    capabilities = {};
+  };
+
+  /**
+   * Run an ffmpeg capability query and cache its parsed result
+   *
+   * @method FfmpegCommand#_queryCapability
+   * @param {String} key cache key
+   * @param {String[]} args ffmpeg arguments
+   * @param {Function} parse function parsing ffmpeg output into the result
+   * @param {Function} callback callback with signature (err, result)
+   * @param {AbortSignal} [signal] signal aborting the query, in addition to the `signal` command option
+   * @private
+   */
+  proto._queryCapability = function(key, args, parse, callback, signal) {
+    var self = this;
+
+    this._getCapabilityCache(function(err, cache) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (key in cache) {
+        return callback(null, cache[key]);
+      }
+
+      spawnQuery(self, args, signal, function(err, stdoutRing) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, storeCapability(cache, key, parse(stdoutRing.get())));
+      });
+    });
   };
 
   /**
@@ -86,10 +1074,10 @@ module.exports = function(proto) {
    * @private
    */
   proto._getFfmpegPath = function(callback) {
-    if ('ffmpegPath' in cache) {
-      return callback(null, cache.ffmpegPath);
-    }
+    getProfilePath(this, 'ffmpegPath', lookupFfmpeg, callback);
+  };
 
+  function lookupFfmpeg(callback) {
     async.waterfall([
       // Try FFMPEG_PATH
       function(cb) {
@@ -116,14 +1104,8 @@ module.exports = function(proto) {
           cb(err, ffmpeg);
         });
       }
-    ], function(err, ffmpeg) {
-      if (err) {
-        callback(err);
-      } else {
-        callback(null, cache.ffmpegPath = (ffmpeg || ''));
-      }
-    });
-  };
+    ], callback);
+  }
 
 
   /**
@@ -140,10 +1122,12 @@ module.exports = function(proto) {
   proto._getFfprobePath = function(callback) {
     var self = this;
 
-    if ('ffprobePath' in cache) {
-      return callback(null, cache.ffprobePath);
-    }
+    getProfilePath(this, 'ffprobePath', function(callback) {
+      lookupFfprobe(self, callback);
+    }, callback);
+  };
 
+  function lookupFfprobe(self, callback) {
     async.waterfall([
       // Try FFPROBE_PATH
       function(cb) {
@@ -187,14 +1171,8 @@ module.exports = function(proto) {
           }
         });
       }
-    ], function(err, ffprobe) {
-      if (err) {
-        callback(err);
-      } else {
-        callback(null, cache.ffprobePath = (ffprobe || ''));
-      }
-    });
-  };
+    ], callback);
+  }
 
 
   /**
@@ -208,10 +1186,10 @@ module.exports = function(proto) {
    * @private
    */
    proto._getFlvtoolPath = function(callback) {
-    if ('flvtoolPath' in cache) {
-      return callback(null, cache.flvtoolPath);
-    }
+    getProfilePath(this, 'flvtoolPath', lookupFlvtool, callback);
+  };
 
+  function lookupFlvtool(callback) {
     async.waterfall([
       // Try FLVMETA_PATH
       function(cb) {
@@ -239,314 +1217,838 @@ module.exports = function(proto) {
         }
       },
 
-      // Search for flvmeta in the PATH
-      function(flvtool, cb) {
-        if (flvtool.length) {
-          return cb(null, flvtool);
-        }
+      // Search for flvmeta in the PATH
+      function(flvtool, cb) {
+        if (flvtool.length) {
+          return cb(null, flvtool);
+        }
+
+        utils.which('flvmeta', function(err, flvmeta) {
+          cb(err, flvmeta);
+        });
+      },
+
+      // Search for flvtool2 in the PATH
+      function(flvtool, cb) {
+        if (flvtool.length) {
+          return cb(null, flvtool);
+        }
+
+        utils.which('flvtool2', function(err, flvtool2) {
+          cb(err, flvtool2);
+        });
+      },
+    ], callback);
+  }
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableFilters}.
+   *
+   * @callback FfmpegCommand~filterCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} filters filter object with filter names as keys and the following
+   *   properties for each filter:
+   * @param {String} filters.description filter description
+   * @param {String} filters.input input type, one of 'audio', 'video', 'none' and 'dynamic'
+   *   (for filters with a dynamic number and/or type of inputs, eg. 'amix' or 'concat')
+   * @param {Boolean} filters.multipleInputs whether the filter supports multiple inputs
+   * @param {Number|null} filters.inputCount number of inputs, null when dynamic
+   * @param {String} filters.output output type, one of 'audio', 'video', 'none' and 'dynamic'
+   * @param {Boolean} filters.multipleOutputs whether the filter supports multiple outputs
+   * @param {Number|null} filters.outputCount number of outputs, null when dynamic
+   */
+
+  /**
+   * Query ffmpeg for available filters
+   *
+   * @method FfmpegCommand#availableFilters
+   * @category Capabilities
+   * @aliases getAvailableFilters
+   *
+   * @param {FfmpegCommand~filterCallback} callback callback function
+   */
+  proto.availableFilters =
+  proto.getAvailableFilters = function(callback) {
+    this._queryCapability('filters', ['-filters'], parseFilters, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableCodecs}.
+   *
+   * @callback FfmpegCommand~codecCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} codecs codec object with codec names as keys and the following
+   *   properties for each codec (more properties may be available depending on the
+   *   ffmpeg version used):
+   * @param {String} codecs.description codec description
+   * @param {Boolean} codecs.canDecode whether the codec is able to decode streams
+   * @param {Boolean} codecs.canEncode whether the codec is able to encode streams
+   */
+
+  /**
+   * Query ffmpeg for available codecs
+   *
+   * @method FfmpegCommand#availableCodecs
+   * @category Capabilities
+   * @aliases getAvailableCodecs
+   *
+   * @param {FfmpegCommand~codecCallback} callback callback function
+   */
+  proto.availableCodecs =
+  proto.getAvailableCodecs = function(callback) {
+    this._queryCapability('codecs', ['-codecs'], parseCodecs, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableEncoders}.
+   *
+   * @callback FfmpegCommand~encodersCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} encoders encoders object with encoder names as keys and the following
+   *   properties for each encoder:
+   * @param {String} encoders.description codec description
+   * @param {Boolean} encoders.type "audio", "video" or "subtitle"
+   * @param {String} encoders.codec name of the codec produced by the encoder (eg. 'h264' for 'libx264')
+   * @param {Boolean} encoders.frameMT whether the encoder is able to do frame-level multithreading
+   * @param {Boolean} encoders.sliceMT whether the encoder is able to do slice-level multithreading
+   * @param {Boolean} encoders.experimental whether the encoder is experimental
+   * @param {Boolean} encoders.drawHorizBand whether the encoder supports draw_horiz_band
+   * @param {Boolean} encoders.directRendering whether the encoder supports direct encoding method 1
+   */
+
+  /**
+   * Query ffmpeg for available encoders
+   *
+   * @method FfmpegCommand#availableEncoders
+   * @category Capabilities
+   * @aliases getAvailableEncoders
+   *
+   * @param {FfmpegCommand~encodersCallback} callback callback function
+   */
+  proto.availableEncoders =
+  proto.getAvailableEncoders = function(callback) {
+    this._availableEncoders(callback);
+  };
+
+
+  /**
+   * Query ffmpeg for available encoders, see {@link FfmpegCommand#availableEncoders}
+   *
+   * @method FfmpegCommand#_availableEncoders
+   * @param {FfmpegCommand~encodersCallback} callback callback function
+   * @param {AbortSignal} [signal] signal aborting the query, in addition to the `signal` command option
+   * @private
+   */
+  proto._availableEncoders = function(callback, signal) {
+    this._queryCapability('encoders', ['-encoders'], parseCoders, callback, signal);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableFormats}.
+   *
+   * @callback FfmpegCommand~formatCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} formats format object with format names as keys and the following
+   *   properties for each format:
+   * @param {String} formats.description format description
+   * @param {Boolean} formats.canDemux whether the format is able to demux streams from an input file
+   * @param {Boolean} formats.canMux whether the format is able to mux streams into an output file
+   */
+
+  /**
+   * Query ffmpeg for available formats
+   *
+   * @method FfmpegCommand#availableFormats
+   * @category Capabilities
+   * @aliases getAvailableFormats
+   *
+   * @param {FfmpegCommand~formatCallback} callback callback function
+   */
+  proto.availableFormats =
+  proto.getAvailableFormats = function(callback) {
+    this._queryCapability('formats', ['-formats'], parseFormats, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableDecoders}.
+   *
+   * @callback FfmpegCommand~decodersCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} decoders decoders object with decoder names as keys and the same
+   *   properties as encoders returned by {@link FfmpegCommand#availableEncoders}
+   */
+
+  /**
+   * Query ffmpeg for available decoders
+   *
+   * @method FfmpegCommand#availableDecoders
+   * @category Capabilities
+   * @aliases getAvailableDecoders
+   *
+   * @param {FfmpegCommand~decodersCallback} callback callback function
+   */
+  proto.availableDecoders =
+  proto.getAvailableDecoders = function(callback) {
+    this._queryCapability('decoders', ['-decoders'], parseCoders, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availablePixelFormats}.
+   *
+   * @callback FfmpegCommand~pixelFormatsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} pixelFormats pixel format object with format names as keys and the
+   *   following properties for each format:
+   * @param {Boolean} pixelFormats.canInput whether the format is supported as conversion input
+   * @param {Boolean} pixelFormats.canOutput whether the format is supported as conversion output
+   * @param {Boolean} pixelFormats.hardware whether the format is hardware accelerated
+   * @param {Boolean} pixelFormats.paletted whether the format is paletted
+   * @param {Boolean} pixelFormats.bitstream whether the format is a bitstream format
+   * @param {Number} pixelFormats.components number of components
+   * @param {Number} pixelFormats.bitsPerPixel number of bits per pixel
+   */
+
+  /**
+   * Query ffmpeg for available pixel formats
+   *
+   * @method FfmpegCommand#availablePixelFormats
+   * @category Capabilities
+   * @aliases getAvailablePixelFormats
+   *
+   * @param {FfmpegCommand~pixelFormatsCallback} callback callback function
+   */
+  proto.availablePixelFormats =
+  proto.getAvailablePixelFormats = function(callback) {
+    this._queryCapability('pixelFormats', ['-pix_fmts'], function(stdout) {
+      var data = {};
+
+      stdout.split(lineBreakRegexp).forEach(function(line) {
+        var match = line.match(pixelFormatRegexp);
+        if (match) {
+          data[match[6]] = {
+            canInput: match[1] === 'I',
+            canOutput: match[2] === 'O',
+            hardware: match[3] === 'H',
+            paletted: match[4] === 'P',
+            bitstream: match[5] === 'B',
+            components: Number(match[7]),
+            bitsPerPixel: Number(match[8])
+          };
+        }
+      });
+
+      return data;
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableSampleFormats}.
+   *
+   * @callback FfmpegCommand~sampleFormatsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} sampleFormats sample format object with format names as keys and the
+   *   following properties for each format:
+   * @param {Number} sampleFormats.depth sample depth in bits
+   */
+
+  /**
+   * Query ffmpeg for available audio sample formats
+   *
+   * @method FfmpegCommand#availableSampleFormats
+   * @category Capabilities
+   * @aliases getAvailableSampleFormats
+   *
+   * @param {FfmpegCommand~sampleFormatsCallback} callback callback function
+   */
+  proto.availableSampleFormats =
+  proto.getAvailableSampleFormats = function(callback) {
+    this._queryCapability('sampleFormats', ['-sample_fmts'], function(stdout) {
+      var data = {};
+
+      stdout.split(lineBreakRegexp).forEach(function(line) {
+        var match = line.match(sampleFormatRegexp);
+        if (match) {
+          data[match[1]] = { depth: Number(match[2]) };
+        }
+      });
+
+      return data;
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableChannelLayouts}.
+   *
+   * @callback FfmpegCommand~channelLayoutsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} layouts channel layout object with the following properties:
+   * @param {Object} layouts.channels individual channels, with channel names (eg. 'FL') as keys
+   *   and objects with a 'description' property as values
+   * @param {Object} layouts.layouts standard layouts, with layout names (eg. 'stereo') as keys
+   *   and objects with a 'channels' property listing their channel names as values
+   */
+
+  /**
+   * Query ffmpeg for available audio channel layouts
+   *
+   * @method FfmpegCommand#availableChannelLayouts
+   * @category Capabilities
+   * @aliases getAvailableChannelLayouts
+   *
+   * @param {FfmpegCommand~channelLayoutsCallback} callback callback function
+   */
+  proto.availableChannelLayouts =
+  proto.getAvailableChannelLayouts = function(callback) {
+    this._queryCapability('channelLayouts', ['-layouts'], function(stdout) {
+      var data = { channels: {}, layouts: {} };
+      var section = null;
+
+      stdout.split(lineBreakRegexp).forEach(function(line) {
+        if (line.match(/^Individual channels:/)) {
+          section = 'channels';
+        } else if (line.match(/^Standard channel layouts:/)) {
+          section = 'layouts';
+        } else {
+          var match = line.match(channelLayoutRegexp);
+
+          // Skip column headers
+          if (section && match && match[1] !== 'NAME') {
+            if (section === 'channels') {
+              data.channels[match[1]] = { description: match[2] };
+            } else {
+              data.layouts[match[1]] = { channels: match[2].split('+') };
+            }
+          }
+        }
+      });
+
+      return data;
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableProtocols}.
+   *
+   * @callback FfmpegCommand~protocolsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {Object} protocols protocol object with protocol names as keys and the following
+   *   properties for each protocol:
+   * @param {Boolean} protocols.canInput whether the protocol can be used for inputs
+   * @param {Boolean} protocols.canOutput whether the protocol can be used for outputs
+   */
+
+  /**
+   * Query ffmpeg for available protocols
+   *
+   * @method FfmpegCommand#availableProtocols
+   * @category Capabilities
+   * @aliases getAvailableProtocols
+   *
+   * @param {FfmpegCommand~protocolsCallback} callback callback function
+   */
+  proto.availableProtocols =
+  proto.getAvailableProtocols = function(callback) {
+    this._queryCapability('protocols', ['-protocols'], function(stdout) {
+      var data = {};
+      var key = null;
+
+      stdout.split(lineBreakRegexp).forEach(function(line) {
+        var match = line.match(listItemRegexp);
+
+        if (line.match(/^Input:/)) {
+          key = 'canInput';
+        } else if (line.match(/^Output:/)) {
+          key = 'canOutput';
+        } else if (key && match) {
+          data[match[1]] = data[match[1]] || { canInput: false, canOutput: false };
+          data[match[1]][key] = true;
+        }
+      });
+
+      return data;
+    }, callback);
+  };
+
+
+  /**
+   * A callback passed to {@link FfmpegCommand#availableBitstreamFilters}.
+   *
+   * @callback FfmpegCommand~bitstreamFiltersCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {String[]} bitstreamFilters bitstream filter names
+   */
+
+  /**
+   * Query ffmpeg for available bitstream filters
+   *
+   * @method FfmpegCommand#availableBitstreamFilters
+   * @category Capabilities
+   * @aliases getAvailableBitstreamFilters
+   *
+   * @param {FfmpegCommand~bitstreamFiltersCallback} callback callback function
+   */
+  proto.availableBitstreamFilters =
+  proto.getAvailableBitstreamFilters = function(callback) {
+    this._queryCapability('bitstreamFilters', ['-bsfs'], parseNameList, callback);
+  };
 
-        utils.which('flvmeta', function(err, flvmeta) {
-          cb(err, flvmeta);
-        });
-      },
 
-      // Search for flvtool2 in the PATH
-      function(flvtool, cb) {
-        if (flvtool.length) {
-          return cb(null, flvtool);
-        }
+  /**
+   * A callback passed to {@link FfmpegCommand#availableHwaccels}.
+   *
+   * @callback FfmpegCommand~hwaccelsCallback
+   * @param {Error|null} err error object or null if no error happened
+   * @param {String[]} hwaccels hardware acceleration method names (eg. 'vaapi')
+   */
 
-        utils.which('flvtool2', function(err, flvtool2) {
-          cb(err, flvtool2);
-        });
-      },
-    ], function(err, flvtool) {
-      if (err) {
-        callback(err);
-      } else {
-        callback(null, cache.flvtoolPath = (flvtool || ''));
-      }
-    });
+  /**
+   * Query ffmpeg for available hardware acceleration methods
+   *
+   * @method FfmpegCommand#availableHwaccels
+   * @category Capabilities
+   * @aliases getAvailableHwaccels
+   *
+   * @param {FfmpegCommand~hwaccelsCallback} callback callback function
+   */
+  proto.availableHwaccels =
+  proto.getAvailableHwaccels = function(callback) {
+    this._queryCapability('hwaccels', ['-hwaccels'], parseNameList, callback);
   };
 
 
   /**
-   * A callback passed to {@link FfmpegCommand#availableFilters}.
+   * A callback passed to {@link FfmpegCommand#getVersion}.
    *
-   * @callback FfmpegCommand~filterCallback
+   * @callback FfmpegCommand~versionCallback
    * @param {Error|null} err error object or null if no error happened
-   * @param {Object} filters filter object with filter names as keys and the following
-   *   properties for each filter:
-   * @param {String} filters.description filter description
-   * @param {String} filters.input input type, one of 'audio', 'video' and 'none'
-   * @param {Boolean} filters.multipleInputs whether the filter supports multiple inputs
-   * @param {String} filters.output output type, one of 'audio', 'video' and 'none'
-   * @param {Boolean} filters.multipleOutputs whether the filter supports multiple outputs
+   * @param {Object} version version object with the following properties:
+   * @param {String} version.version version string reported by ffmpeg (eg. '6.1.1' or 'N-112345-g1234abcd')
+   * @param {Number|null} version.major major version, null for development snapshots
+   * @param {Number|null} version.minor minor version, null for development snapshots
+   * @param {Number|null} version.patch patch version, null for development snapshots
+   * @param {Object} version.libraries library versions by library name (eg. 'libavcodec'),
+   *   with 'major', 'minor' and 'micro' properties
+   * @param {String[]} version.configuration configure flags ffmpeg was built with
+   * @param {String[]} version.features features enabled with '--enable-*' configure flags (eg. 'libx264')
    */
 
   /**
-   * Query ffmpeg for available filters
+   * Query ffmpeg for its version and build configuration
    *
-   * @method FfmpegCommand#availableFilters
+   * Development snapshots have no release version, use library versions instead
+   * to check for features depending on the ffmpeg version.
+   *
+   * @method FfmpegCommand#getVersion
    * @category Capabilities
-   * @aliases getAvailableFilters
    *
-   * @param {FfmpegCommand~filterCallback} callback callback function
+   * @param {FfmpegCommand~versionCallback} callback callback function
    */
-  proto.availableFilters =
-  proto.getAvailableFilters = function(callback) {
-    if ('filters' in cache) {
-      return callback(null, cache.filters);
-    }
+  proto.getVersion = function(callback) {
+    var self = this;
 
-    this._spawnFfmpeg(['-filters'], { captureStdout: true, stdoutLines: 0 }, function (err, stdoutRing) {
+    this._getCapabilityCache(function(err, cache) {
       if (err) {
         return callback(err);
       }
 
-      var stdout = stdoutRing.get();
-      var lines = stdout.split('\n');
-      var data = {};
-      var types = { A: 'audio', V: 'video', '|': 'none' };
+      if ('version' in cache) {
+        return callback(null, cache.version);
+      }
 
-      lines.forEach(function(line) {
-        var match = line.match(filterRegexp);
-        if (match) {
-          data[match[1]] = {
-            description: match[4],
-            input: types[match[2].charAt(0)],
-            multipleInputs: match[2].length > 1,
-            output: types[match[3].charAt(0)],
-            multipleOutputs: match[3].length > 1
-          };
+      spawnQuery(self, ['-version'], null, function(err, stdoutRing) {
+        if (err) {
+          return callback(err);
         }
-      });
 
-      callback(null, cache.filters = data);
+        callback(null, storeCapability(cache, 'version', parseVersion(stdoutRing.get())));
+      });
     });
   };
 
 
   /**
-   * A callback passed to {@link FfmpegCommand#availableCodecs}.
+   * Check whether ffmpeg was built with a feature enabled
    *
-   * @callback FfmpegCommand~codecCallback
-   * @param {Error|null} err error object or null if no error happened
-   * @param {Object} codecs codec object with codec names as keys and the following
-   *   properties for each codec (more properties may be available depending on the
-   *   ffmpeg version used):
-   * @param {String} codecs.description codec description
-   * @param {Boolean} codecs.canDecode whether the codec is able to decode streams
-   * @param {Boolean} codecs.canEncode whether the codec is able to encode streams
-   */
-
-  /**
-   * Query ffmpeg for available codecs
+   * Features are enabled with '--enable-<feature>' configure flags, eg. 'libx264' or 'gpl'.
    *
-   * @method FfmpegCommand#availableCodecs
+   * @method FfmpegCommand#supportsFeature
    * @category Capabilities
-   * @aliases getAvailableCodecs
    *
-   * @param {FfmpegCommand~codecCallback} callback callback function
+   * @param {String} feature feature name
+   * @param {Function} callback callback with signature (err, supported)
    */
-  proto.availableCodecs =
-  proto.getAvailableCodecs = function(callback) {
-    if ('codecs' in cache) {
-      return callback(null, cache.codecs);
-    }
-
-    this._spawnFfmpeg(['-codecs'], { captureStdout: true, stdoutLines: 0 }, function(err, stdoutRing) {
+  proto.supportsFeature = function(feature, callback) {
+    this.getVersion(function(err, version) {
       if (err) {
         return callback(err);
       }
 
-      var stdout = stdoutRing.get();
-      var lines = stdout.split(lineBreakRegexp);
-      var data = {};
+      callback(null, version.features.indexOf(feature) !== -1);
+    });
+  };
 
-      lines.forEach(function(line) {
-        var match = line.match(avCodecRegexp);
-        if (match && match[7] !== '=') {
-          data[match[7]] = {
-            type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[3]],
-            description: match[8],
-            canDecode: match[1] === 'D',
-            canEncode: match[2] === 'E',
-            drawHorizBand: match[4] === 'S',
-            directRendering: match[5] === 'D',
-            weirdFrameTruncation: match[6] === 'T'
-          };
-        }
 
-        match = line.match(ffCodecRegexp);
-        if (match && match[7] !== '=') {
-          var codecData = data[match[7]] = {
-            type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[3]],
-            description: match[8],
-            canDecode: match[1] === 'D',
-            canEncode: match[2] === 'E',
-            intraFrameOnly: match[4] === 'I',
-            isLossy: match[5] === 'L',
-            isLossless: match[6] === 'S'
-          };
+  /**
+   * Query and parse ffmpeg help about an encoder, muxer or filter
+   *
+   * @method FfmpegCommand#_getHelp
+   * @param {String} kind one of 'encoder', 'muxer' or 'filter'
+   * @param {String} name encoder, muxer or filter name
+   * @param {Function} parseLine function parsing header lines (see parseHelp)
+   * @param {Function} callback callback with signature (err, data)
+   * @param {AbortSignal} [signal] signal aborting the query, in addition to the `signal` command option
+   * @private
+   */
+  proto._getHelp = function(kind, name, parseLine, callback, signal) {
+    var self = this;
+
+    this._getCapabilityCache(function(err, cache) {
+      if (err) {
+        return callback(err);
+      }
 
-          var encoders = codecData.description.match(ffEncodersRegexp);
-          encoders = encoders ? encoders[1].trim().split(' ') : [];
+      var help = cache.help = cache.help || {};
+      var key = kind + '=' + name;
 
-          var decoders = codecData.description.match(ffDecodersRegexp);
-          decoders = decoders ? decoders[1].trim().split(' ') : [];
+      if (key in help) {
+        return callback(null, help[key]);
+      }
 
-          if (encoders.length || decoders.length) {
-            var coderData = {};
-            utils.copy(codecData, coderData);
-            delete coderData.canEncode;
-            delete coderData.canDecode;
+      spawnQuery(self, ['-hide_banner', '-h', key], signal, function(err, stdoutRing) {
+        if (err) {
+          return callback(err);
+        }
 
-            encoders.forEach(function(name) {
-              data[name] = {};
-              utils.copy(coderData, data[name]);
-              data[name].canEncode = true;
-            });
+        var data = parseHelp(stdoutRing.get(), { name: name }, parseLine);
 
-            decoders.forEach(function(name) {
-              if (name in data) {
-                data[name].canDecode = true;
-              } else {
-                data[name] = {};
-                utils.copy(coderData, data[name]);
-                data[name].canDecode = true;
-              }
-            });
-          }
+        if (!data) {
+          var label = kind.charAt(0).toUpperCase() + kind.substr(1);
+          return callback(new errors.FfmpegCapabilityError(label + ' ' + name + ' is not available'));
         }
-      });
 
-      callback(null, cache.codecs = data);
+        callback(null, storeCapability(help, key, data));
+      });
     });
   };
 
 
   /**
-   * A callback passed to {@link FfmpegCommand#availableEncoders}.
+   * A callback passed to {@link FfmpegCommand#getEncoderOptions}, {@link FfmpegCommand#getMuxerOptions}
+   * and {@link FfmpegCommand#getFilterOptions}.
    *
-   * @callback FfmpegCommand~encodersCallback
+   * Besides the properties below, the data object has properties specific to encoders,
+   * muxers or filters (see those methods).
+   *
+   * @callback FfmpegCommand~optionsCallback
    * @param {Error|null} err error object or null if no error happened
-   * @param {Object} encoders encoders object with encoder names as keys and the following
-   *   properties for each encoder:
-   * @param {String} encoders.description codec description
-   * @param {Boolean} encoders.type "audio", "video" or "subtitle"
-   * @param {Boolean} encoders.frameMT whether the encoder is able to do frame-level multithreading
-   * @param {Boolean} encoders.sliceMT whether the encoder is able to do slice-level multithreading
-   * @param {Boolean} encoders.experimental whether the encoder is experimental
-   * @param {Boolean} encoders.drawHorizBand whether the encoder supports draw_horiz_band
-   * @param {Boolean} encoders.directRendering whether the encoder supports direct encoding method 1
+   * @param {Object} data encoder, muxer or filter data:
+   * @param {String} data.name encoder, muxer or filter name
+   * @param {String} data.description description
+   * @param {Object} data.options options by name, with the following properties for each option:
+   * @param {String} data.options.name option name
+   * @param {String} data.options.type option type (eg. 'int', 'float', 'string', 'boolean' or 'flags')
+   * @param {String} data.options.description option description
+   * @param {String|Number|Boolean|null} data.options.default default value, if any
+   * @param {String|Number|null} data.options.min minimum value, if any
+   * @param {String|Number|null} data.options.max maximum value, if any
+   * @param {Object[]} data.options.values allowed named values, with 'name', 'value' (null when
+   *   not reported by ffmpeg) and 'description' properties
    */
 
   /**
-   * Query ffmpeg for available encoders
+   * Query ffmpeg for encoder details and options
    *
-   * @method FfmpegCommand#availableEncoders
+   * The data passed to the callback also has 'pixelFormats', 'sampleFormats',
+   * 'sampleRates' and 'channelLayouts' properties, listing formats supported by
+   * the encoder (empty when ffmpeg does not report them), and a 'capabilities'
+   * property listing its general capabilities (eg. 'threads').
+   *
+   * When passing a codec name, the first encoder for this codec is described.
+   *
+   * @method FfmpegCommand#getEncoderOptions
    * @category Capabilities
-   * @aliases getAvailableEncoders
    *
-   * @param {FfmpegCommand~encodersCallback} callback callback function
+   * @param {String} encoder encoder name
+   * @param {FfmpegCommand~optionsCallback} callback callback function
    */
-  proto.availableEncoders =
-  proto.getAvailableEncoders = function(callback) {
-    if ('encoders' in cache) {
-      return callback(null, cache.encoders);
-    }
+  proto.getEncoderOptions = function(encoder, callback) {
+    this._getEncoderOptions(encoder, callback);
+  };
 
-    this._spawnFfmpeg(['-encoders'], { captureStdout: true, stdoutLines: 0 }, function(err, stdoutRing) {
-      if (err) {
-        return callback(err);
+
+  /**
+   * Query ffmpeg for encoder details and options, see {@link FfmpegCommand#getEncoderOptions}
+   *
+   * @method FfmpegCommand#_getEncoderOptions
+   * @param {String} encoder encoder name
+   * @param {FfmpegCommand~optionsCallback} callback callback function
+   * @param {AbortSignal} [signal] signal aborting the query, in addition to the `signal` command option
+   * @private
+   */
+  proto._getEncoderOptions = function(encoder, callback, signal) {
+    this._getHelp('encoder', encoder, function(line, data) {
+      var key = {
+        'General capabilities': 'capabilities',
+        'Supported pixel formats': 'pixelFormats',
+        'Supported sample formats': 'sampleFormats',
+        'Supported sample rates': 'sampleRates',
+        'Supported channel layouts': 'channelLayouts'
+      }[line.trim().split(':')[0]];
+
+      if (key) {
+        data[key] = helpList(line).filter(function(item) {
+          return item !== 'none';
+        });
       }
 
-      var stdout = stdoutRing.get();
-      var lines = stdout.split(lineBreakRegexp);
-      var data = {};
+      if (key === 'sampleRates') {
+        data.sampleRates = data.sampleRates.map(Number);
+      }
+    }, function(err, data) {
+      if (data) {
+        ['capabilities', 'pixelFormats', 'sampleFormats', 'sampleRates', 'channelLayouts'].forEach(function(key) {
+          data[key] = data[key] || [];
+        });
+      }
 
-      lines.forEach(function(line) {
-        var match = line.match(encodersRegexp);
-        if (match && match[7] !== '=') {
-          data[match[7]] = {
-            type: { 'V': 'video', 'A': 'audio', 'S': 'subtitle' }[match[1]],
-            description: match[8],
-            frameMT: match[2] === 'F',
-            sliceMT: match[3] === 'S',
-            experimental: match[4] === 'X',
-            drawHorizBand: match[5] === 'B',
-            directRendering: match[6] === 'D'
-          };
-        }
-      });
+      callback(err, data);
+    }, signal);
+  };
 
-      callback(null, cache.encoders = data);
+
+  /**
+   * Query ffmpeg for muxer details and options
+   *
+   * The data passed to the callback also has 'extensions' (list of common file extensions),
+   * 'mimeType', 'defaultVideoCodec', 'defaultAudioCodec' and 'defaultSubtitleCodec'
+   * properties (null when ffmpeg does not report them).
+   *
+   * @method FfmpegCommand#getMuxerOptions
+   * @category Capabilities
+   *
+   * @param {String} muxer muxer (output format) name
+   * @param {FfmpegCommand~optionsCallback} callback callback function
+   */
+  proto.getMuxerOptions = function(muxer, callback) {
+    this._getHelp('muxer', muxer, function(line, data) {
+      var key = line.trim().split(':')[0];
+      var value = line.substr(line.indexOf(':') + 1).trim().replace(/\.$/, '');
+
+      if (key === 'Common extensions') {
+        data.extensions = value.split(',');
+      } else if (key === 'Mime type') {
+        data.mimeType = value;
+      } else if (key === 'Default video codec') {
+        data.defaultVideoCodec = value;
+      } else if (key === 'Default audio codec') {
+        data.defaultAudioCodec = value;
+      } else if (key === 'Default subtitle codec') {
+        data.defaultSubtitleCodec = value;
+      }
+    }, function(err, data) {
+      if (data) {
+        data.extensions = data.extensions || [];
+
+        ['mimeType', 'defaultVideoCodec', 'defaultAudioCodec', 'defaultSubtitleCodec'].forEach(function(key) {
+          data[key] = data[key] || null;
+        });
+      }
+
+      callback(err, data);
     });
   };
 
 
   /**
-   * A callback passed to {@link FfmpegCommand#availableFormats}.
+   * Query ffmpeg for filter details and options
    *
-   * @callback FfmpegCommand~formatCallback
-   * @param {Error|null} err error object or null if no error happened
-   * @param {Object} formats format object with format names as keys and the following
-   *   properties for each format:
-   * @param {String} formats.description format description
-   * @param {Boolean} formats.canDemux whether the format is able to demux streams from an input file
-   * @param {Boolean} formats.canMux whether the format is able to mux streams into an output file
+   * The data passed to the callback also has 'inputs' and 'outputs' properties, listing
+   * filter pads with their 'name' and 'type' ('audio' or 'video'), and 'dynamicInputs'
+   * and 'dynamicOutputs' properties telling whether pads depend on filter options.
+   *
+   * @method FfmpegCommand#getFilterOptions
+   * @category Capabilities
+   *
+   * @param {String} filter filter name
+   * @param {FfmpegCommand~optionsCallback} callback callback function
    */
+  proto.getFilterOptions = function(filter, callback) {
+    var pads = null;
+
+    this._getHelp('filter', filter, function(line, data) {
+      var trimmed = line.trim();
+
+      if (trimmed === 'Inputs:' || trimmed === 'Outputs:') {
+        pads = trimmed === 'Inputs:' ? 'inputs' : 'outputs';
+        data[pads] = [];
+        return;
+      }
+
+      var match = line.match(helpPadRegexp);
+
+      if (pads && match) {
+        if (match[3]) {
+          data[pads === 'inputs' ? 'dynamicInputs' : 'dynamicOutputs'] = true;
+        } else {
+          data[pads].push({ name: match[1], type: match[2] });
+        }
+      } else if (!pads && !data.description) {
+        // Filter description is on the line after the filter name
+        data.description = trimmed;
+      }
+    }, function(err, data) {
+      if (data) {
+        data.inputs = data.inputs || [];
+        data.outputs = data.outputs || [];
+        data.dynamicInputs = !!data.dynamicInputs;
+        data.dynamicOutputs = !!data.dynamicOutputs;
+      }
+
+      callback(err, data);
+    });
+  };
+
 
   /**
-   * Query ffmpeg for available formats
+   * Check whether output codecs, formats and pixel/sample formats are compatible
    *
-   * @method FfmpegCommand#availableFormats
-   * @category Capabilities
-   * @aliases getAvailableFormats
+   * Checks whether audio and video codecs can be stored in the output format (set
+   * explicitly or guessed from the output file extension), and whether pixel and
+   * sample formats set with '-pix_fmt' and '-sample_fmt' are supported by their
+   * encoder.  Incompatibilities are logged as warnings, or reported as an error when
+   * the 'checkCompatibility' option is 'error'.
    *
-   * @param {FfmpegCommand~formatCallback} callback callback function
+   * @method FfmpegCommand#_checkCompatibility
+   * @param {Function} callback callback with signature (err)
+   * @param {AbortSignal} [signal] signal aborting capability queries, in addition to the `signal` command option
+   * @private
    */
-  proto.availableFormats =
-  proto.getAvailableFormats = function(callback) {
-    if ('formats' in cache) {
-      return callback(null, cache.formats);
+  proto._checkCompatibility = function(callback, signal) {
+    var self = this;
+    var mode = 'checkCompatibility' in this.options ? this.options.checkCompatibility : 'warn';
+
+    if (!mode) {
+      return callback();
     }
 
-    // Run ffmpeg -formats
-    this._spawnFfmpeg(['-formats'], { captureStdout: true, stdoutLines: 0 }, function (err, stdoutRing) {
+    this._queryCapability('encoders', ['-encoders'], parseCoders, function(err, encoders) {
       if (err) {
         return callback(err);
       }
 
-      // Parse output
-      var stdout = stdoutRing.get();
-      var lines = stdout.split(lineBreakRegexp);
-      var data = {};
+      var problems = [];
+      var formatChecks = [];
 
-      lines.forEach(function(line) {
-        var match = line.match(formatRegexp);
-        if (match) {
-          match[3].split(',').forEach(function(format) {
-            if (!(format in data)) {
-              data[format] = {
-                description: match[4],
-                canDemux: false,
-                canMux: false
-              };
-            }
+      self._outputs.forEach(function(output, index) {
+        var where = ' (output #' + index + ')';
+        var format = output.options.find('-f', 1);
+        var muxer = format ? format[0] : null;
 
-            if (match[1] === 'D') {
-              data[format].canDemux = true;
-            }
-            if (match[2] === 'E') {
-              data[format].canMux = true;
-            }
-          });
+        if (!muxer && typeof output.target === 'string') {
+          muxer = extensionMuxers[path.extname(output.target).substr(1).toLowerCase()] || null;
+        }
+
+        [
+          ['audio', '-acodec', 'Audio', '-sample_fmt', 'sampleFormats', 'Sample'],
+          ['video', '-vcodec', 'Video', '-pix_fmt', 'pixelFormats', 'Pixel']
+        ].forEach(function(stream) {
+          var encoder = output[stream[0]].find(stream[1], 1);
+
+          if (!encoder || !(encoder[0] in encoders)) {
+            return;
+          }
+
+          var codec = encoders[encoder[0]].codec;
+          var codecs = muxer && muxer in muxerCodecs ? muxerCodecs[muxer][stream[0]] : null;
+
+          if (codecs && codecs.indexOf(codec) === -1) {
+            problems.push(stream[2] + ' codec ' + encoder[0] + (codec !== encoder[0] ? ' (' + codec + ')' : '') +
+              ' is not supported by output format ' + muxer + where);
+          }
+
+          var streamFormat = output.options.find(stream[3], 1) || output[stream[0]].find(stream[3], 1);
+
+          if (streamFormat) {
+            formatChecks.push({
+              encoder: encoder[0],
+              key: stream[4],
+              value: streamFormat[0],
+              message: stream[5] + ' format ' + streamFormat[0] + ' is not supported by encoder ' + encoder[0] + where
+            });
+          }
+        });
+      });
+
+      // Check pixel and sample formats against formats reported by encoders, if any
+      async.eachSeries(formatChecks, function(check, cb) {
+        self._getEncoderOptions(check.encoder, function(err, data) {
+          if (err && err instanceof errors.FfmpegAbortError) {
+            return cb(err);
+          }
+
+          if (!err && data[check.key].length && data[check.key].indexOf(check.value) === -1) {
+            problems.push(check.message);
+          }
+
+          cb();
+        }, signal);
+      }, function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (problems.length && mode === 'error') {
+          return callback(new errors.FfmpegCapabilityError(problems[0]));
         }
+
+        problems.forEach(function(problem) {
+          self.logger.warn(problem);
+        });
+
+        callback();
       });
+    }, signal);
+  };
+
+
+  /**
+   * Check whether ffmpeg supports writing machine-readable progress information
+   * with the '-progress' option
+   *
+   * @method FfmpegCommand#_supportsProgressPipe
+   * @param {Function} callback callback with signature (err, supported)
+   * @param {AbortSignal} [signal] signal aborting the query, in addition to the `signal` command option
+   * @private
+   */
+  proto._supportsProgressPipe = function(callback, signal) {
+    var self = this;
+
+    this._getCapabilityCache(function(err, cache) {
+      if (err) {
+        return callback(err);
+      }
 
-      callback(null, cache.formats = data);
+      if ('progressPipe' in cache) {
+        return callback(null, cache.progressPipe);
+      }
+
+      // Run ffmpeg -h long, advanced options are not listed otherwise
+      spawnQuery(self, ['-h', 'long'], signal, function(err, stdoutRing) {
+        if (err) {
+          return callback(err);
+        }
+
+        callback(null, storeCapability(cache, 'progressPipe', progressOptionRegexp.test(stdoutRing.get())));
+      });
     });
   };
 
@@ -554,18 +2056,20 @@ module.exports = function(proto) {
   /**
    * Check capabilities before executing a command
    *
-   * Checks whether all used codecs and formats are indeed available
+   * Checks whether all used codecs, formats and filters are indeed available, and
+   * whether filters are connected to inputs and outputs of the right number and type
    *
    * @method FfmpegCommand#_checkCapabilities
    * @param {Function} callback callback with signature (err)
+   * @param {AbortSignal} [signal] signal aborting capability queries, in addition to the `signal` command option
    * @private
    */
-  proto._checkCapabilities = function(callback) {
+  proto._checkCapabilities = function(callback, signal) {
     var self = this;
     async.waterfall([
       // Get available formats
       function(cb) {
-        self.availableFormats(cb);
+        self._queryCapability('formats', ['-formats'], parseFormats, cb, signal);
       },
 
       // Check whether specified formats are available
@@ -586,9 +2090,9 @@ module.exports = function(proto) {
           }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Output format ' + unavailable[0] + ' is not available'));
+          return cb(new errors.FfmpegCapabilityError('Output format ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Output formats ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.FfmpegCapabilityError('Output formats ' + unavailable.join(', ') + ' are not available'));
         }
 
         // Input format(s)
@@ -605,9 +2109,9 @@ module.exports = function(proto) {
           }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Input format ' + unavailable[0] + ' is not available'));
+          return cb(new errors.FfmpegCapabilityError('Input format ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Input formats ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.FfmpegCapabilityError('Input formats ' + unavailable.join(', ') + ' are not available'));
         }
 
         cb();
@@ -615,7 +2119,7 @@ module.exports = function(proto) {
 
       // Get available codecs
       function(cb) {
-        self.availableEncoders(cb);
+        self._queryCapability('encoders', ['-encoders'], parseCoders, cb, signal);
       },
 
       // Check whether specified codecs are available and add strict experimental options if needed
@@ -635,9 +2139,9 @@ module.exports = function(proto) {
         }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Audio codec ' + unavailable[0] + ' is not available'));
+          return cb(new errors.FfmpegCapabilityError('Audio codec ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Audio codecs ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.FfmpegCapabilityError('Audio codecs ' + unavailable.join(', ') + ' are not available'));
         }
 
         // Video codec(s)
@@ -653,12 +2157,65 @@ module.exports = function(proto) {
         }, []);
 
         if (unavailable.length === 1) {
-          return cb(new Error('Video codec ' + unavailable[0] + ' is not available'));
+          return cb(new errors.FfmpegCapabilityError('Video codec ' + unavailable[0] + ' is not available'));
         } else if (unavailable.length > 1) {
-          return cb(new Error('Video codecs ' + unavailable.join(', ') + ' are not available'));
+          return cb(new errors.FfmpegCapabilityError('Video codecs ' + unavailable.join(', ') + ' are not available'));
         }
 
         cb();
+      },
+
+      // Check whether used filters are available and properly connected
+      function(cb) {
+        var graphs = [];
+
+        self._outputs.forEach(function(output, outputIndex) {
+          var audioFilters = output.audioFilters.get();
+          var videoFilters = output.videoFilters.get().concat(utils.makeFilterStrings(output.sizeFilters.get()));
+
+          [['audio', audioFilters], ['video', videoFilters]].forEach(function(simple) {
+            if (simple[1].length) {
+              graphs.push({
+                chains: utils.parseFilterGraph(simple[1].join(',')),
+                streamType: simple[0],
+                position: function(chainIndex, filterIndex, index) {
+                  return simple[0] + ' filter #' + index + ' of output #' + outputIndex;
+                }
+              });
+            }
+          });
+        });
+
+        var complexFilter = self._complexFilters.find('-filter_complex', 1);
+        if (complexFilter) {
+          graphs.push({
+            chains: utils.parseFilterGraph(complexFilter[0]),
+            streamType: null,
+            position: function(chainIndex, filterIndex) {
+              return 'complex filter #' + filterIndex + ' in chain #' + chainIndex;
+            }
+          });
+        }
+
+        // Only query filters when some are used
+        if (!graphs.length) {
+          return cb();
+        }
+
+        self._queryCapability('filters', ['-filters'], parseFilters, function(err, filters) {
+          if (err) {
+            return cb(err);
+          }
+
+          for (var i = 0; i < graphs.length; i++) {
+            var message = checkFilterGraph(graphs[i].chains, filters, graphs[i].streamType, graphs[i].position);
+            if (message) {
+              return cb(new errors.FfmpegCapabilityError(message));
+            }
+          }
+
+          cb();
+        }, signal);
       }
     ], callback);
   };
@@ -0,0 +1,94 @@
+/**
+ * Base class for errors reported by fluent-ffmpeg
+ *
+ * The 'details' argument may contain the following keys:
+ * - 'exitCode': ffmpeg exit code
+ * - 'signal': signal ffmpeg was killed with
+ * - 'args': ffmpeg argument list
+ * - 'stderr': ffmpeg stderr output, the failure reason is parsed from it
+ * - 'cause': error that caused this error
+ *
+ * @param {String} message error message
+ * @param {Object} [details] error details (see above)
+ *
+ * @property {Number|null} exitCode ffmpeg exit code, if it exited with an error code
+ * @property {String|null} signal signal ffmpeg was killed with, if any
+ * @property {String[]|null} args ffmpeg argument list, when ffmpeg was started
+ * @property {String|null} stderr last lines of ffmpeg stderr, when ffmpeg was started
+ * @property {String|null} reason failure reason parsed from ffmpeg stderr, one of 'no such file',
+ *   'permission denied', 'invalid data', 'unknown encoder', 'unknown decoder', 'unknown format',
+ *   'unknown filter', 'unknown option', 'no stream', 'file exists', 'no space left',
+ *   'connection refused', 'connection timed out', 'connection reset', 'io error', 'server error',
+ *   'encoder error' or 'invalid argument'
+ */
+export class FfmpegError extends Error {
+    constructor(message: any, details: any);
+    exitCode: any;
+    signal: any;
+    args: any;
+    stderr: any;
+    reason: string | null;
+    cause: any;
+}
+/**
+ * Error reported when ffmpeg cannot be found or spawned
+ *
+ * System error properties of the cause (eg. 'code') are copied to the error.
+ */
+export class FfmpegSpawnError extends FfmpegError {
+}
+/**
+ * Error reported when ffmpeg exits with a non-zero code
+ */
+export class FfmpegExitError extends FfmpegError {
+}
+/**
+ * Error reported when ffmpeg is killed with a signal
+ */
+export class FfmpegSignalError extends FfmpegError {
+}
+/**
+ * Error reported when ffmpeg runs into the command timeout
+ */
+export class FfmpegTimeoutError extends FfmpegError {
+}
+/**
+ * Error reported when ffmpeg shows no activity during the command inactivity timeout
+ */
+export class FfmpegStalledError extends FfmpegError {
+}
+/**
+ * Error reported when an input stream emits an error, or cannot be used (eg. with two-pass encoding)
+ *
+ * The original error, if any, is available as 'inputStreamError' (and 'cause'), and
+ * the index of the failing input as 'inputIndex'.
+ */
+export class FfmpegInputStreamError extends FfmpegError {
+    inputStreamError: any;
+    inputIndex: any;
+}
+/**
+ * Error reported when an output stream emits an error or is closed before ffmpeg ends
+ *
+ * The original error, if any, is available as 'outputStreamError' (and 'cause'),
+ * and the index of the failing output as 'outputIndex'.
+ */
+export class FfmpegOutputStreamError extends FfmpegError {
+    outputStreamError: any;
+    outputIndex: any;
+}
+/**
+ * Error reported when a codec, format or filter used by a command is not available or incompatible
+ */
+export class FfmpegCapabilityError extends FfmpegError {
+}
+/**
+ * Error reported when an operation is aborted with an AbortSignal
+ *
+ * The error has the same name and code as errors produced by nodejs itself
+ * when an operation is aborted with an AbortSignal.
+ */
+export class FfmpegAbortError extends FfmpegError {
+    code: string;
+}
+//# sourceMappingURL=errors.d.ts.map
\ No newline at end of file
@@ -0,0 +1,219 @@
+/*jshint node:true*/
+'use strict';
+
+/*
+ *! Error classes
+ */
+
+var nlRegexp = /\r\n|\r|\n/g;
+
+// Maximum number of stderr lines kept in errors
+var stderrTailLines = 20;
+
+// Known ffmpeg error lines, checked in order on each stderr line
+var knownReasons = [
+  [/No such file or directory/, 'no such file'],
+  [/Permission denied/, 'permission denied'],
+  [/Invalid data found when processing input/, 'invalid data'],
+  [/Unknown encoder|Encoder \([^)]*\) not found|Encoder not found/, 'unknown encoder'],
+  [/Unknown decoder|Decoder \([^)]*\) not found|Decoder not found/, 'unknown decoder'],
+  [/Unknown input format|Unable to find a suitable output format|is not a suitable output format/, 'unknown format'],
+  [/No such filter/, 'unknown filter'],
+  [/Unrecognized option|Option [^ ]+ not found/, 'unknown option'],
+  [/does not contain any stream/, 'no stream'],
+  [/already exists\. Exiting/, 'file exists'],
+  [/No space left on device/, 'no space left'],
+  [/Connection refused/, 'connection refused'],
+  [/Connection timed out|Operation timed out/, 'connection timed out'],
+  [/Connection reset by peer/, 'connection reset'],
+  [/Input\/output error/, 'io error'],
+  [/Server returned [45]\d\d/, 'server error'],
+  [/Error while opening encoder|Error initializing output stream/, 'encoder error'],
+  [/Invalid argument/, 'invalid argument']
+];
+
+
+/**
+ * Parse the reason of an ffmpeg failure from its stderr output
+ *
+ * @param {String} stderr ffmpeg stderr
+ * @return {String|null} failure reason, or null when unknown
+ * @private
+ */
+function parseReason(stderr) {
+  var lines = stderr.split(nlRegexp);
+
+  for (var i = 0; i < lines.length; i++) {
+    for (var j = 0; j < knownReasons.length; j++) {
+      if (knownReasons[j][0].test(lines[i])) {
+        return knownReasons[j][1];
+      }
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Base class for errors reported by fluent-ffmpeg
+ *
+ * The 'details' argument may contain the following keys:
+ * - 'exitCode': ffmpeg exit code
+ * - 'signal': signal ffmpeg was killed with
+ * - 'args': ffmpeg argument list
+ * - 'stderr': ffmpeg stderr output, the failure reason is parsed from it
+ * - 'cause': error that caused this error
+ *
+ * @param {String} message error message
+ * @param {Object} [details] error details (see above)
+ *
+ * @property {Number|null} exitCode ffmpeg exit code, if it exited with an error code
+ * @property {String|null} signal signal ffmpeg was killed with, if any
+ * @property {String[]|null} args ffmpeg argument list, when ffmpeg was started
+ * @property {String|null} stderr last lines of ffmpeg stderr, when ffmpeg was started
+ * @property {String|null} reason failure reason parsed from ffmpeg stderr, one of 'no such file',
+ *   'permission denied', 'invalid data', 'unknown encoder', 'unknown decoder', 'unknown format',
+ *   'unknown filter', 'unknown option', 'no stream', 'file exists', 'no space left',
+ *   'connection refused', 'connection timed out', 'connection reset', 'io error', 'server error',
+ *   'encoder error' or 'invalid argument'
+ */
+class FfmpegError extends Error {
+  constructor(message, details) {
+    super(message);
+    details = details || {};
+
+    this.name = this.constructor.name;
+    this.exitCode = typeof details.exitCode === 'number' ? details.exitCode : null;
+    this.signal = details.signal || null;
+    this.args = details.args || null;
+    this.stderr = null;
+    this.reason = null;
+
+    if (details.stderr) {
+      this.stderr = details.stderr.split(nlRegexp).slice(-stderrTailLines).join('\n');
+      this.reason = parseReason(details.stderr);
+    }
+
+    if ('cause' in details) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+
+/**
+ * Error reported when ffmpeg cannot be found or spawned
+ *
+ * System error properties of the cause (eg. 'code') are copied to the error.
+ */
+class FfmpegSpawnError extends FfmpegError {
+  constructor(message, details) {
+    super(message, details);
+
+    var cause = details && details.cause;
+    if (cause) {
+      var self = this;
+      ['code', 'errno', 'syscall', 'path'].forEach(function(key) {
+        if (key in cause) {
+          self[key] = cause[key];
+        }
+      });
+    }
+  }
+}
+
+
+/**
+ * Error reported when ffmpeg exits with a non-zero code
+ */
+class FfmpegExitError extends FfmpegError {}
+
+
+/**
+ * Error reported when ffmpeg is killed with a signal
+ */
+class FfmpegSignalError extends FfmpegError {}
+
+
+/**
+ * Error reported when ffmpeg runs into the command timeout
+ */
+class FfmpegTimeoutError extends FfmpegError {}
+
+
+/**
+ * Error reported when ffmpeg shows no activity during the command inactivity timeout
+ */
+class FfmpegStalledError extends FfmpegError {}
+
+
+/**
+ * Error reported when an input stream emits an error, or cannot be used (eg. with two-pass encoding)
+ *
+ * The original error, if any, is available as 'inputStreamError' (and 'cause'), and
+ * the index of the failing input as 'inputIndex'.
+ */
+class FfmpegInputStreamError extends FfmpegError {
+  constructor(message, details) {
+    super(message, details);
+
+    this.inputStreamError = details && details.cause;
+    this.inputIndex = details && details.inputIndex;
+  }
+}
+
+
+/**
+ * Error reported when an output stream emits an error or is closed before ffmpeg ends
+ *
+ * The original error, if any, is available as 'outputStreamError' (and 'cause'),
+ * and the index of the failing output as 'outputIndex'.
+ */
+class FfmpegOutputStreamError extends FfmpegError {
+  constructor(message, details) {
+    super(message, details);
+
+    if (details && 'cause' in details) {
+      this.outputStreamError = details.cause;
+    }
+
+    this.outputIndex = details && details.outputIndex;
+  }
+}
+
+
+/**
+ * Error reported when a codec, format or filter used by a command is not available or incompatible
+ */
+class FfmpegCapabilityError extends FfmpegError {}
+
+
+/**
+ * Error reported when an operation is aborted with an AbortSignal
+ *
+ * The error has the same name and code as errors produced by nodejs itself
+ * when an operation is aborted with an AbortSignal.
+ */
+class FfmpegAbortError extends FfmpegError {
+  constructor(message, details) {
+    super(message || 'The operation was aborted', details);
+
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+
+module.exports = {
+  FfmpegError: FfmpegError,
+  FfmpegSpawnError: FfmpegSpawnError,
+  FfmpegExitError: FfmpegExitError,
+  FfmpegSignalError: FfmpegSignalError,
+  FfmpegTimeoutError: FfmpegTimeoutError,
+  FfmpegStalledError: FfmpegStalledError,
+  FfmpegInputStreamError: FfmpegInputStreamError,
+  FfmpegOutputStreamError: FfmpegOutputStreamError,
+  FfmpegCapabilityError: FfmpegCapabilityError,
+  FfmpegAbortError: FfmpegAbortError
+};
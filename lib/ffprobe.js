@@ -2,6 +2,8 @@
 'use strict';
 
 var spawn = require('child_process').spawn;
+var utils = require('./utils');
+var errors = require('./errors');
 
 
 function legacyTag(key) { return key.match(/^TAG:/); }
@@ -57,6 +59,14 @@ function parseFfprobeOutput(out) {
       data.chapters.push(chapter);
     } else if (line.toLowerCase() === '[format]') {
       data.format = parseBlock('format');
+    } else if (line.match(/^\[packet/i)) {
+      // Only present when requested with '-show_packets'
+      data.packets = data.packets || [];
+      data.packets.push(parseBlock('packet'));
+    } else if (line.match(/^\[frame/i)) {
+      // Only present when requested with '-show_frames'
+      data.frames = data.frames || [];
+      data.frames.push(parseBlock('frame'));
     }
 
     line = lines.shift();
@@ -80,6 +90,8 @@ module.exports = function(proto) {
    *     `ffprobe -print_format json -show_streams -show_format INPUTFILE`
    * @param {Array} ffprobeData.streams stream information
    * @param {Object} ffprobeData.format format information
+   * @param {Array} [ffprobeData.packets] packet information, when requested with the '-show_packets' option
+   * @param {Array} [ffprobeData.frames] frame information, when requested with the '-show_frames' option
    */
 
   /**
@@ -90,38 +102,61 @@ module.exports = function(proto) {
    *
    * @param {?Number} [index] 0-based index of input to probe (defaults to last input)
    * @param {?String[]} [options] array of output options to return
+   * @param {Object} [settings] probe settings
+   * @param {AbortSignal} [settings.signal] signal aborting the probe, in addition to the
+   *   `signal` command option
    * @param {FfmpegCommand~ffprobeCallback} callback callback function
    *
    */
   proto.ffprobe = function() {
-    var input, index = null, options = [], callback;
+    var input, index = null, options = [], settings = {};
+    var args = [].slice.call(arguments);
 
     // the last argument should be the callback
-    var callback = arguments[arguments.length - 1];
+    var callback = args.pop();
+
+    // probe settings may be passed just before the callback
+    var last = args[args.length - 1];
+    if (last && typeof last === 'object' && !Array.isArray(last)) {
+      settings = args.pop();
+    }
+
+    var abort = utils.anySignal([this.options.signal, settings.signal]);
+    var onAbort = null;
 
     var ended = false
     function handleCallback(err, data) {
       if (!ended) {
         ended = true;
+
+        if (onAbort) {
+          abort.signal.removeEventListener('abort', onAbort);
+        }
+
+        abort.dispose();
         callback(err, data);
       }
     };
 
     // map the arguments to the correct variable names
-    switch (arguments.length) {
-      case 3:
-        index = arguments[0];
-        options = arguments[1];
-        break;
+    switch (args.length) {
       case 2:
-        if (typeof arguments[0] === 'number') {
-          index = arguments[0];
-        } else if (Array.isArray(arguments[0])) {
-          options = arguments[0];
+        index = args[0];
+        options = args[1];
+        break;
+      case 1:
+        if (typeof args[0] === 'number') {
+          index = args[0];
+        } else if (Array.isArray(args[0])) {
+          options = args[0];
         }
         break;
     }
 
+    if (abort.signal && abort.signal.aborted) {
+      return handleCallback(utils.abortError(abort.signal));
+    }
+
 
     if (index === null) {
       if (!this._currentInput) {
@@ -142,7 +177,9 @@ module.exports = function(proto) {
       if (err) {
         return handleCallback(err);
       } else if (!path) {
-        return handleCallback(new Error('Cannot find ffprobe'));
+        return handleCallback(new errors.FfmpegSpawnError('Cannot find ffprobe'));
+      } else if (abort.signal && abort.signal.aborted) {
+        return handleCallback(utils.abortError(abort.signal));
       }
 
       var stdout = '';
@@ -152,7 +189,18 @@ module.exports = function(proto) {
 
       // Spawn ffprobe
       var src = input.isStream ? 'pipe:0' : input.source;
-      var ffprobe = spawn(path, ['-show_streams', '-show_format'].concat(options, src), {windowsHide: true});
+      var ffprobeArgs = ['-show_streams', '-show_format'].concat(options, src);
+      var ffprobe = spawn(path, ffprobeArgs, {windowsHide: true});
+
+      // Kill ffprobe when aborted
+      if (abort.signal) {
+        onAbort = function() {
+          ffprobe.kill('SIGKILL');
+          handleCallback(utils.abortError(abort.signal));
+        };
+
+        abort.signal.addEventListener('abort', onAbort, { once: true });
+      }
 
       if (input.isStream) {
         // Skip errors on stdin. These get thrown when ffprobe is complete and
@@ -172,17 +220,21 @@ module.exports = function(proto) {
         input.source.pipe(ffprobe.stdin);
       }
 
-      ffprobe.on('error', callback);
+      ffprobe.on('error', function(err) {
+        handleCallback(new errors.FfmpegSpawnError(err.message, { args: ffprobeArgs, cause: err }));
+      });
 
       // Ensure we wait for captured streams to end before calling callback
-      var exitError = null;
-      function handleExit(err) {
-        if (err) {
-          exitError = err;
-        }
-
+      var exitCode = null;
+      var exitSignal = null;
+      function handleExit() {
         if (processExited && stdoutClosed && stderrClosed) {
-          if (exitError) {
+          if (exitCode || exitSignal) {
+            var details = { exitCode: exitCode, signal: exitSignal, args: ffprobeArgs, stderr: stderr };
+            var exitError = exitCode ?
+              new errors.FfmpegExitError('ffprobe exited with code ' + exitCode, details) :
+              new errors.FfmpegSignalError('ffprobe was killed with signal ' + exitSignal, details);
+
             if (stderr) {
               exitError.message += '\n' + stderr;
             }
@@ -228,14 +280,9 @@ module.exports = function(proto) {
       var processExited = false;
       ffprobe.on('exit', function(code, signal) {
         processExited = true;
-
-        if (code) {
-          handleExit(new Error('ffprobe exited with code ' + code));
-        } else if (signal) {
-          handleExit(new Error('ffprobe was killed with signal ' + signal));
-        } else {
-          handleExit();
-        }
+        exitCode = code;
+        exitSignal = signal;
+        handleExit();
       });
 
       // Handle stdout/stderr streams
@@ -258,4 +305,37 @@ module.exports = function(proto) {
       });
     });
   };
+
+
+  /**
+   * Run ffprobe on last specified input and return a promise
+   *
+   * Accepts the same arguments as {@link FfmpegCommand#ffprobe}, except for the callback.
+   * The promise resolves with ffprobe data or rejects with the error that would have
+   * been passed to the callback.
+   *
+   * @example
+   * var metadata = await ffmpeg('/path/to/file.avi').ffprobeAsync();
+   *
+   * @method FfmpegCommand#ffprobeAsync
+   * @category Metadata
+   *
+   * @param {?Number} [index] 0-based index of input to probe (defaults to last input)
+   * @param {?String[]} [options] array of output options to return
+   * @return {Promise<Object>} ffprobe data, see {@link FfmpegCommand~ffprobeCallback}
+   */
+  proto.ffprobeAsync = function() {
+    var self = this;
+    var args = [].slice.call(arguments);
+
+    return new Promise(function(resolve, reject) {
+      self.ffprobe.apply(self, args.concat(function(err, data) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data);
+        }
+      }));
+    });
+  };
 };
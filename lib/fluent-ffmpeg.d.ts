@@ -15,17 +15,98 @@
  * @param {String} [options.preset="fluent-ffmpeg/lib/presets"] alias for `presets`
  * @param {String} [options.stdoutLines=100] maximum lines of ffmpeg output to keep in memory, use 0 for unlimited
  * @param {Number} [options.timeout=<no timeout>] ffmpeg processing timeout in seconds
+ * @param {Number} [options.inactivityTimeout=<no timeout>] delay in seconds after which ffmpeg is killed
+ *   when it reports no progress and produces no output
+ * @param {Boolean} [options.benchmark=false] run ffmpeg with '-benchmark' to report its resource usage
+ * @param {String|Boolean} [options.checkCompatibility='warn'] how to report output codecs unsupported by the output
+ *   format and pixel/sample formats unsupported by encoders before running ffmpeg: 'warn' logs warnings,
+ *   'error' fails with an FfmpegCapabilityError, false disables the check
+ * @param {AbortSignal} [options.signal] signal aborting processing, metadata reading and capability queries
+ * @param {String} [options.profile='default'] name of the binary profile to use, see {@link FfmpegCommand.setBinaryProfile}
+ * @param {String} [options.ffmpegPath] ffmpeg binary path for this command, overriding the profile one
+ * @param {String} [options.ffprobePath] ffprobe binary path for this command, overriding the profile one
+ * @param {String} [options.flvtoolPath] flvtool2/flvmeta binary path for this command, overriding the profile one
  * @param {String|ReadableStream} [options.source=<no input>] alias for the `input` parameter
  */
 export class FfmpegCommand {
     static setFfmpegPath(path: any): void;
     static setFfprobePath(path: any): void;
     static setFlvtoolPath(path: any): void;
+    /**
+     * Define binary paths of a named profile
+     *
+     * Commands use the binaries of the profile named by their `profile` option, or
+     * those of the 'default' profile (configured by the static path setters).  Paths
+     * are merged with those already defined for the profile; missing paths are looked
+     * up in the environment and the PATH as usual.  Capability queries are cached by
+     * ffmpeg binary path, so that profiles using different binaries do not share results.
+     *
+     * @example
+     *   FfmpegCommand.setBinaryProfile('static', {
+     *     ffmpegPath: '/opt/ffmpeg-static/ffmpeg',
+     *     ffprobePath: '/opt/ffmpeg-static/ffprobe'
+     *   });
+     *
+     *   ffmpeg('/path/to/input.avi', { profile: 'static' }).save('/path/to/output.mp4');
+     *
+     * @method FfmpegCommand.setBinaryProfile
+     * @param {String} name profile name
+     * @param {Object} paths binary paths
+     * @param {String} [paths.ffmpegPath] full path to the ffmpeg binary
+     * @param {String} [paths.ffprobePath] full path to the ffprobe binary
+     * @param {String} [paths.flvtoolPath] full path to the flvtool2 or flvmeta binary
+     */
+    static setBinaryProfile(name: string, paths: {
+        ffmpegPath?: string | undefined;
+        ffprobePath?: string | undefined;
+        flvtoolPath?: string | undefined;
+    }): void;
+    /**
+     * Persist capability query results in a cache file
+     *
+     * Results (available formats, codecs, encoders, filters, version...) are stored
+     * by ffmpeg binary path along with the binary modification time, size and
+     * version, and are loaded from the file when first needed instead of running
+     * ffmpeg again (except once with '-version', to check the binary version).  They
+     * are queried again when the binary changes.
+     *
+     * @example
+     *   FfmpegCommand.setCapabilityCachePath(path.join(os.tmpdir(), 'ffmpeg-capabilities.json'));
+     *
+     * @method FfmpegCommand.setCapabilityCachePath
+     * @param {String|null} file cache file path, null to stop using a cache file
+     */
+    static setCapabilityCachePath(file: string | null): void;
     static getAvailableFilters(callback: any): void;
     static getAvailableCodecs(callback: any): void;
     static getAvailableFormats(callback: any): void;
     static getAvailableEncoders(callback: any): void;
+    static getAvailableDecoders(callback: any): void;
+    static getAvailablePixelFormats(callback: any): void;
+    static getAvailableSampleFormats(callback: any): void;
+    static getAvailableChannelLayouts(callback: any): void;
+    static getAvailableProtocols(callback: any): void;
+    static getAvailableBitstreamFilters(callback: any): void;
+    static getAvailableHwaccels(callback: any): void;
+    static getEncoderOptions(encoder: any, callback: any): void;
+    static getMuxerOptions(muxer: any, callback: any): void;
+    static getFilterOptions(filter: any, callback: any): void;
+    static getVersion(callback: any): void;
+    static supportsFeature(feature: any, callback: any): void;
     static ffprobe(file: any, ...args: any[]): void;
+    static ffprobeAsync(file: any, ...args: any[]): any;
+    /**
+     * Restore an ffmpeg command serialized with {@link FfmpegCommand#toJSON}
+     *
+     * @example
+     *   var command = ffmpeg.fromJSON(JSON.parse(job), { logger: console });
+     *
+     * @method FfmpegCommand.fromJSON
+     * @param {Object|String} data serialized command, either as an object or as a JSON string
+     * @param {Object} [options] additional command options (eg. `logger` or `signal`), overriding serialized ones
+     * @returns {FfmpegCommand}
+     */
+    static fromJSON(data: Object | string, options?: Object | undefined): FfmpegCommand;
     constructor(input: any, options: any);
     _inputs: any[];
     _outputs: any[];
@@ -60,6 +141,25 @@ export class FfmpegCommand {
      * @returns {FfmpegCommand}
      */
     clone(): FfmpegCommand;
+    /**
+     * Serialize an ffmpeg command
+     *
+     * Returns a plain object describing the command inputs, outputs, filters and
+     * options, that can be passed to JSON.stringify() and restored later (eg. in
+     * another process) with {@link FfmpegCommand.fromJSON}.  The logger and signal
+     * command options are not serialized.
+     *
+     * Commands using stream inputs or outputs cannot be serialized.
+     *
+     * @example
+     *   var job = JSON.stringify(ffmpeg('/path/to/source.avi')
+     *     .videoCodec('libx264')
+     *     .output('/path/to/output.mp4'));
+     *
+     * @method FfmpegCommand#toJSON
+     * @returns {Object}
+     */
+    toJSON(): Object;
     /**
     * Disable audio in the output
     *
@@ -26,11 +26,22 @@ var ARGLISTS = ['_global', '_audio', '_audioFilters', '_video', '_videoFilters',
  * @param {String} [options.preset="fluent-ffmpeg/lib/presets"] alias for `presets`
  * @param {String} [options.stdoutLines=100] maximum lines of ffmpeg output to keep in memory, use 0 for unlimited
  * @param {Number} [options.timeout=<no timeout>] ffmpeg processing timeout in seconds
+ * @param {Number} [options.inactivityTimeout=<no timeout>] delay in seconds after which ffmpeg is killed
+ *   when it reports no progress and produces no output
+ * @param {Boolean} [options.benchmark=false] run ffmpeg with '-benchmark' to report its resource usage
+ * @param {String|Boolean} [options.checkCompatibility='warn'] how to report output codecs unsupported by the output
+ *   format and pixel/sample formats unsupported by encoders before running ffmpeg: 'warn' logs warnings,
+ *   'error' fails with an FfmpegCapabilityError, false disables the check
+ * @param {AbortSignal} [options.signal] signal aborting processing, metadata reading and capability queries
+ * @param {String} [options.profile='default'] name of the binary profile to use, see {@link FfmpegCommand.setBinaryProfile}
+ * @param {String} [options.ffmpegPath] ffmpeg binary path for this command, overriding the profile one
+ * @param {String} [options.ffprobePath] ffprobe binary path for this command, overriding the profile one
+ * @param {String} [options.flvtoolPath] flvtool2/flvmeta binary path for this command, overriding the profile one
  * @param {String|ReadableStream} [options.source=<no input>] alias for the `input` parameter
  */
 class FfmpegCommand extends EventEmitter {
     constructor(input, options) {
-        // EventEmitter.call(this);
+        super();
 
         if (typeof input === 'object' && !('readable' in input)) {
             // Options object passed directly
@@ -74,13 +85,58 @@ class FfmpegCommand extends EventEmitter {
         };
     }
     static setFfmpegPath(path) {
-        (new FfmpegCommand()).setFfmpegPath(path);
+        (new FfmpegCommand())._setProfilePaths('default', { ffmpegPath: path });
     }
     static setFfprobePath(path) {
-        (new FfmpegCommand()).setFfprobePath(path);
+        (new FfmpegCommand())._setProfilePaths('default', { ffprobePath: path });
     }
     static setFlvtoolPath(path) {
-        (new FfmpegCommand()).setFlvtoolPath(path);
+        (new FfmpegCommand())._setProfilePaths('default', { flvtoolPath: path });
+    }
+    /**
+     * Define binary paths of a named profile
+     *
+     * Commands use the binaries of the profile named by their `profile` option, or
+     * those of the 'default' profile (configured by the static path setters).  Paths
+     * are merged with those already defined for the profile; missing paths are looked
+     * up in the environment and the PATH as usual.  Capability queries are cached by
+     * ffmpeg binary path, so that profiles using different binaries do not share results.
+     *
+     * @example
+     *   FfmpegCommand.setBinaryProfile('static', {
+     *     ffmpegPath: '/opt/ffmpeg-static/ffmpeg',
+     *     ffprobePath: '/opt/ffmpeg-static/ffprobe'
+     *   });
+     *
+     *   ffmpeg('/path/to/input.avi', { profile: 'static' }).save('/path/to/output.mp4');
+     *
+     * @method FfmpegCommand.setBinaryProfile
+     * @param {String} name profile name
+     * @param {Object} paths binary paths
+     * @param {String} [paths.ffmpegPath] full path to the ffmpeg binary
+     * @param {String} [paths.ffprobePath] full path to the ffprobe binary
+     * @param {String} [paths.flvtoolPath] full path to the flvtool2 or flvmeta binary
+     */
+    static setBinaryProfile(name, paths) {
+        (new FfmpegCommand())._setProfilePaths(name, paths || {});
+    }
+    /**
+     * Persist capability query results in a cache file
+     *
+     * Results (available formats, codecs, encoders, filters, version...) are stored
+     * by ffmpeg binary path along with the binary modification time, size and
+     * version, and are loaded from the file when first needed instead of running
+     * ffmpeg again (except once with '-version', to check the binary version).  They
+     * are queried again when the binary changes.
+     *
+     * @example
+     *   FfmpegCommand.setCapabilityCachePath(path.join(os.tmpdir(), 'ffmpeg-capabilities.json'));
+     *
+     * @method FfmpegCommand.setCapabilityCachePath
+     * @param {String|null} file cache file path, null to stop using a cache file
+     */
+    static setCapabilityCachePath(file) {
+        (new FfmpegCommand())._setCapabilityCachePath(file);
     }
     static getAvailableFilters(callback) {
         (new FfmpegCommand()).availableFilters(callback);
@@ -94,10 +150,116 @@ class FfmpegCommand extends EventEmitter {
     static getAvailableEncoders(callback) {
         (new FfmpegCommand()).availableEncoders(callback);
     }
+    static getAvailableDecoders(callback) {
+        (new FfmpegCommand()).availableDecoders(callback);
+    }
+    static getAvailablePixelFormats(callback) {
+        (new FfmpegCommand()).availablePixelFormats(callback);
+    }
+    static getAvailableSampleFormats(callback) {
+        (new FfmpegCommand()).availableSampleFormats(callback);
+    }
+    static getAvailableChannelLayouts(callback) {
+        (new FfmpegCommand()).availableChannelLayouts(callback);
+    }
+    static getAvailableProtocols(callback) {
+        (new FfmpegCommand()).availableProtocols(callback);
+    }
+    static getAvailableBitstreamFilters(callback) {
+        (new FfmpegCommand()).availableBitstreamFilters(callback);
+    }
+    static getAvailableHwaccels(callback) {
+        (new FfmpegCommand()).availableHwaccels(callback);
+    }
+    static getEncoderOptions(encoder, callback) {
+        (new FfmpegCommand()).getEncoderOptions(encoder, callback);
+    }
+    static getMuxerOptions(muxer, callback) {
+        (new FfmpegCommand()).getMuxerOptions(muxer, callback);
+    }
+    static getFilterOptions(filter, callback) {
+        (new FfmpegCommand()).getFilterOptions(filter, callback);
+    }
+    static getVersion(callback) {
+        (new FfmpegCommand()).getVersion(callback);
+    }
+    static supportsFeature(feature, callback) {
+        (new FfmpegCommand()).supportsFeature(feature, callback);
+    }
     static ffprobe(file) {
         var instance = new FfmpegCommand(file);
         instance.ffprobe.apply(instance, Array.prototype.slice.call(arguments, 1));
     }
+    static ffprobeAsync(file) {
+        var instance = new FfmpegCommand(file);
+        return instance.ffprobeAsync.apply(instance, Array.prototype.slice.call(arguments, 1));
+    }
+    /**
+     * Restore an ffmpeg command serialized with {@link FfmpegCommand#toJSON}
+     *
+     * @example
+     *   var command = ffmpeg.fromJSON(JSON.parse(job), { logger: console });
+     *
+     * @method FfmpegCommand.fromJSON
+     * @param {Object|String} data serialized command, either as an object or as a JSON string
+     * @param {Object} [options] additional command options (eg. `logger` or `signal`), overriding serialized ones
+     * @returns {FfmpegCommand}
+     */
+    static fromJSON(data, options) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+
+        if (!data || !Array.isArray(data.inputs) || !Array.isArray(data.outputs) || !data.outputs.length) {
+            throw new Error('Invalid serialized command');
+        }
+
+        var commandOptions = {};
+        utils.copy(data.options || {}, commandOptions);
+        utils.copy(options || {}, commandOptions);
+
+        var command = new FfmpegCommand(commandOptions);
+
+        // Restore inputs
+        data.inputs.forEach(function (input) {
+            command.input(input.source);
+            command._currentInput.options(input.options);
+        });
+
+        // Restore outputs
+        command._outputs = data.outputs.map(function (output) {
+            var restored = {
+                flags: {}
+            };
+
+            if ('target' in output) {
+                restored.target = output.target;
+                restored.isFile = output.isFile;
+                restored.pipeopts = output.pipeopts || {};
+            }
+
+            ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'options'].forEach(function (key) {
+                restored[key] = utils.args();
+                restored[key](output[key] || []);
+            });
+
+            if (output.sizeData) {
+                restored.sizeData = {};
+                utils.copy(output.sizeData, restored.sizeData);
+            }
+
+            utils.copy(output.flags || {}, restored.flags);
+            return restored;
+        });
+
+        command._currentOutput = command._outputs[command._outputs.length - 1];
+
+        // Restore argument lists
+        command._global(data.global || []);
+        command._complexFilters(data.complexFilters || []);
+
+        return command;
+    }
     /**
      * Clone an ffmpeg command
      *
@@ -130,8 +292,9 @@ class FfmpegCommand extends EventEmitter {
         var clone = new FfmpegCommand();
         var self = this;
 
-        // Clone options and logger
-        clone.options = this.options;
+        // Clone options (so that eg. renicing a clone leaves the original untouched) and logger
+        clone.options = {};
+        utils.copy(this.options, clone.options);
         clone.logger = this.logger;
 
         // Clone inputs
@@ -146,6 +309,7 @@ class FfmpegCommand extends EventEmitter {
         if ('target' in this._outputs[0]) {
             // We have outputs set, don't clone them and create first output
             clone._outputs = [];
+            delete clone._currentOutput;
             clone.output();
         } else {
             // No outputs set, clone first output options
@@ -175,6 +339,84 @@ class FfmpegCommand extends EventEmitter {
         return clone;
     }
 
+    /**
+     * Serialize an ffmpeg command
+     *
+     * Returns a plain object describing the command inputs, outputs, filters and
+     * options, that can be passed to JSON.stringify() and restored later (eg. in
+     * another process) with {@link FfmpegCommand.fromJSON}.  The logger and signal
+     * command options are not serialized.
+     *
+     * Commands using stream inputs or outputs cannot be serialized.
+     *
+     * @example
+     *   var job = JSON.stringify(ffmpeg('/path/to/source.avi')
+     *     .videoCodec('libx264')
+     *     .output('/path/to/output.mp4'));
+     *
+     * @method FfmpegCommand#toJSON
+     * @returns {Object}
+     */
+    toJSON() {
+        this._inputs.forEach(function (input, index) {
+            if (typeof input.source !== 'string') {
+                throw new Error('Cannot serialize command: input #' + index + ' is a stream');
+            }
+        });
+
+        this._outputs.forEach(function (output, index) {
+            if (output.target && typeof output.target !== 'string') {
+                throw new Error('Cannot serialize command: output #' + index + ' is a stream');
+            }
+        });
+
+        // Copy options, except runtime-only ones
+        var options = {};
+        Object.keys(this.options).forEach(function (key) {
+            if (['logger', 'signal', 'source'].indexOf(key) === -1) {
+                options[key] = this.options[key];
+            }
+        }, this);
+
+        return {
+            options: options,
+
+            inputs: this._inputs.map(function (input) {
+                return {
+                    source: input.source,
+                    options: input.options.get().slice()
+                };
+            }),
+
+            outputs: this._outputs.map(function (output) {
+                var serialized = {};
+
+                if ('target' in output) {
+                    serialized.target = output.target;
+                    serialized.isFile = output.isFile;
+                    serialized.pipeopts = output.pipeopts;
+                }
+
+                ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'options'].forEach(function (key) {
+                    serialized[key] = output[key].get().slice();
+                });
+
+                if (output.sizeData) {
+                    serialized.sizeData = {};
+                    utils.copy(output.sizeData, serialized.sizeData);
+                }
+
+                serialized.flags = {};
+                utils.copy(output.flags, serialized.flags);
+
+                return serialized;
+            }),
+
+            global: this._global.get().slice(),
+            complexFilters: this._complexFilters.get().slice()
+        };
+    }
+
     // submodule methods
     /**
     * Disable audio in the output
@@ -802,7 +1044,7 @@ class FfmpegCommand extends EventEmitter {
 }
 
 module.exports = {
-    FfmpegCommand: FfmpegCommand
+    FfmpegCommand
 }
 
 
@@ -14,7 +14,8 @@ module.exports = function(proto) {
      * Also switches "current input", that is the input that will be affected
      * by subsequent input-related methods.
      *
-     * Note: only one stream input is supported for now.
+     * Several stream inputs may be added: the first one is piped to ffmpeg
+     * stdin (pipe:0), following ones to additional pipes (pipe:3, pipe:4...).
      *
      * @method FfmpegCommand#input
      * @category Input
@@ -34,14 +35,6 @@ module.exports = function(proto) {
             throw new Error('Invalid input');
         }
 
-        var hasInputStream = this._inputs.some(function(input) {
-            return input.isStream;
-        });
-
-        if (hasInputStream) {
-            throw new Error('Only one input stream is supported');
-        }
-
         isStream = true;
         source.pause();
         } else {
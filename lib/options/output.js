@@ -12,6 +12,9 @@ module.exports = function(proto) {
     /**
      * Add output
      *
+     * Several stream outputs may be added: the first one is piped from ffmpeg
+     * stdout (pipe:1), following ones from additional pipes.
+     *
      * @method FfmpegCommand#output
      * @category Output
      * @aliases addOutput
@@ -39,21 +42,15 @@ module.exports = function(proto) {
         }
 
         if (target && !('target' in this._currentOutput)) {
+        if (this._currentOutput.flags.atomic && !isFile) {
+            throw new Error('Atomic outputs must be files');
+        }
+
         // For backwards compatibility, set target for first output
         this._currentOutput.target = target;
         this._currentOutput.isFile = isFile;
         this._currentOutput.pipeopts = pipeopts || {};
         } else {
-        if (target && typeof target !== 'string') {
-            var hasOutputStream = this._outputs.some(function(output) {
-            return typeof output.target !== 'string';
-            });
-
-            if (hasOutputStream) {
-            throw new Error('Only one output stream is supported');
-            }
-        }
-
         this._outputs.push(this._currentOutput = {
             target: target,
             isFile: isFile,
@@ -159,4 +156,45 @@ module.exports = function(proto) {
         this._currentOutput.flags.flvmeta = true;
         return this;
     };
+
+
+    /**
+     * Use two-pass encoding for output
+     *
+     * When a video bitrate is set for the output, processing first runs an analysis
+     * pass to a null muxer, then the final encoding pass.  Pass log files are written
+     * to a temporary directory, removed once processing ends.  Progress is reported
+     * from 0 to 50% during the first pass, and from 50 to 100% during the final pass.
+     *
+     * @method FfmpegCommand#twoPass
+     * @category Output
+     *
+     * @return FfmpegCommand
+     */
+    proto.twoPass = function() {
+        this._currentOutput.flags.twoPass = true;
+        return this;
+    };
+
+
+    /**
+     * Write output file atomically
+     *
+     * ffmpeg then writes to a temporary file next to the target, which is renamed to
+     * the target path once processing succeeded, and removed if processing fails.
+     * Only file outputs may be written atomically.
+     *
+     * @method FfmpegCommand#atomic
+     * @category Output
+     *
+     * @return FfmpegCommand
+     */
+    proto.atomic = function() {
+        if ('target' in this._currentOutput && !this._currentOutput.isFile) {
+            throw new Error('Atomic outputs must be files');
+        }
+
+        this._currentOutput.flags.atomic = true;
+        return this;
+    };
 };
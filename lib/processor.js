@@ -4,8 +4,21 @@
 var spawn = require('child_process').spawn;
 var path = require('path');
 var fs = require('fs');
+var crypto = require('crypto');
+var os = require('os');
 var async = require('async');
 var utils = require('./utils');
+var errors = require('./errors');
+
+// Progress lines written by ffmpeg on stderr
+var progressLineRegexp = /^\s*(frame|size)=/;
+
+// Failure reasons retried by default
+var transientReasons = ['connection refused', 'connection timed out', 'connection reset', 'io error'];
+
+// Resource usage sampling interval in milliseconds, and clock ticks per second in /proc/<pid>/stat
+var resourcePollInterval = 200;
+var clockTicks = 100;
 
 /*
  *! Processor methods
@@ -13,23 +26,192 @@ var utils = require('./utils');
 
 
 /**
- * Run ffprobe asynchronously and store data in command
+ * Run ffprobe asynchronously on all inputs and store data in command
+ *
+ * Data for the first input is stored as `_ffprobeData`, data for all inputs
+ * is stored in `_inputsProbeData` (indexed like inputs).
  *
  * @param {FfmpegCommand} command
+ * @param {AbortSignal} [signal] signal aborting ffprobe
  * @private
  */
-function runFfprobe(command) {
-  const inputProbeIndex = 0;
-  if (command._inputs[inputProbeIndex].isStream) {
-    // Don't probe input streams as this will consume them
-    return;
+function runFfprobe(command, signal) {
+  var probeData = command._inputsProbeData = [];
+
+  command._inputs.forEach(function(input, index) {
+    if (input.isStream) {
+      // Don't probe input streams as this will consume them
+      return;
+    }
+
+    command.ffprobe(index, { signal: signal }, function(err, data) {
+      probeData[index] = data;
+
+      if (index === 0) {
+        command._ffprobeData = data;
+      }
+    });
+  });
+}
+
+
+/**
+ * Get a temporary path next to an atomic output file
+ *
+ * The extension is kept so that ffmpeg can still guess the output format.
+ *
+ * @param {String} target output file path
+ * @return {String} temporary file path
+ * @private
+ */
+function atomicTempPath(target) {
+  var ext = path.extname(target);
+  var name = '.' + path.basename(target, ext) + '.' + crypto.randomBytes(6).toString('hex') + '.tmp' + ext;
+
+  return path.join(path.dirname(target), name);
+}
+
+
+/**
+ * Rename atomic output temporary files to their target, or remove them on error
+ *
+ * @param {FfmpegCommand} command
+ * @param {Error|null} err processing error
+ * @param {Function} callback callback called with an error when renaming failed
+ * @private
+ */
+function finishAtomicOutputs(command, err, callback) {
+  var outputs = command._outputs.filter(function(output) {
+    return output.tempTarget;
+  });
+
+  async.each(outputs, function(output, cb) {
+    var tempTarget = output.tempTarget;
+    delete output.tempTarget;
+
+    if (err) {
+      fs.unlink(tempTarget, function() { cb(); });
+    } else {
+      fs.rename(tempTarget, output.target, function(renameErr) {
+        if (renameErr) {
+          fs.unlink(tempTarget, function() { cb(renameErr); });
+        } else {
+          cb();
+        }
+      });
+    }
+  }, callback);
+}
+
+
+/**
+ * Remove two-pass encoding log files
+ *
+ * @param {FfmpegCommand} command
+ * @param {Function} callback callback called when log files have been removed
+ * @private
+ */
+function removePassLogs(command, callback) {
+  var dir = command._passLogDir;
+
+  delete command._passLogDir;
+  delete command._progressRange;
+  command._outputs.forEach(function(output) {
+    delete output.passLogFile;
+  });
+
+  if (!dir) {
+    return callback();
   }
-  command.ffprobe(inputProbeIndex, function(err, data) {
-    command._ffprobeData = data;
+
+  fs.rm(dir, { recursive: true, force: true }, function() {
+    callback();
   });
 }
 
 
+/**
+ * Normalize a retry policy
+ *
+ * @param {Object} retry retry options (see FfmpegCommand#run)
+ * @return {Object} policy with 'attempts', 'delay(attempt)' and 'retryOn(err, attempt)'
+ * @private
+ */
+function retryPolicy(retry) {
+  var backoff = 'backoff' in retry ? retry.backoff : 1000;
+  var retryOn = retry.retryOn || transientReasons;
+
+  return {
+    attempts: 'attempts' in retry ? retry.attempts : 3,
+
+    delay: function(attempt) {
+      if (typeof backoff === 'function') {
+        return backoff(attempt);
+      }
+
+      // Exponential backoff
+      return backoff * Math.pow(2, attempt - 2);
+    },
+
+    retryOn: function(err, attempt) {
+      if (typeof retryOn === 'function') {
+        return !!retryOn(err, attempt);
+      }
+
+      return err instanceof errors.FfmpegStalledError || retryOn.indexOf(err.reason) !== -1;
+    }
+  };
+}
+
+
+/**
+ * Sample CPU times and peak memory usage of a process from /proc
+ *
+ * Only available on Linux.  Values are sampled periodically, so CPU time
+ * used after the last sample is missing from the reported usage.
+ *
+ * @param {Number} pid process ID
+ * @return {Object} monitor with a 'usage' property ('cpuUser' and 'cpuSystem' in seconds,
+ *   'maxRss' in kilobytes, all null when unknown) and a 'stop()' method
+ * @private
+ */
+function monitorResources(pid) {
+  var usage = { cpuUser: null, cpuSystem: null, maxRss: null };
+  var timer = null;
+
+  function sample() {
+    try {
+      // Skip pid and command name, which may contain spaces
+      var stat = fs.readFileSync('/proc/' + pid + '/stat', 'utf8');
+      var fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+
+      usage.cpuUser = Number(fields[11]) / clockTicks;
+      usage.cpuSystem = Number(fields[12]) / clockTicks;
+
+      var hwm = fs.readFileSync('/proc/' + pid + '/status', 'utf8').match(/^VmHWM:\s*(\d+) kB/m);
+      if (hwm) {
+        usage.maxRss = Number(hwm[1]);
+      }
+    } catch(e) {
+      // Process has exited
+    }
+  }
+
+  if (process.platform === 'linux' && pid) {
+    sample();
+    timer = setInterval(sample, resourcePollInterval);
+    timer.unref();
+  }
+
+  return {
+    usage: usage,
+    stop: function() {
+      clearInterval(timer);
+    }
+  };
+}
+
+
 module.exports = function(proto) {
   /**
    * Emitted just after ffmpeg has been spawned.
@@ -41,6 +223,9 @@ module.exports = function(proto) {
   /**
    * Emitted when ffmpeg reports progress information
    *
+   * Progress information is read from the machine-readable output of the ffmpeg
+   * '-progress' option, or parsed from ffmpeg stderr when it is not supported.
+   *
    * @event FfmpegCommand#progress
    * @param {Object} progress progress object
    * @param {Number} progress.frames number of frames transcoded
@@ -48,7 +233,26 @@ module.exports = function(proto) {
    * @param {Number} progress.currentKbps current output generation speed in kilobytes per second
    * @param {Number} progress.targetSize current output file size
    * @param {String} progress.timemark current video timemark
-   * @param {Number} [progress.percent] processing progress (may not be available depending on input)
+   * @param {Number} [progress.speed] processing speed relative to realtime
+   * @param {Number} [progress.dupFrames] number of duplicated frames
+   * @param {Number} [progress.dropFrames] number of dropped frames
+   * @param {String} [progress.status] 'continue', or 'end' for the last progress report
+   *   (only available when reading the '-progress' output)
+   * @param {Number} [progress.percent] processing progress (may not be available depending on inputs)
+   * @param {Number} [progress.elapsed] processing time in seconds, excluding time spent paused
+   * @param {Number} [progress.eta] estimated remaining processing time in seconds (only available with `percent`)
+   */
+
+  /**
+   * Emitted when ffmpeg has been paused with {@link FfmpegCommand#pause}
+   *
+   * @event FfmpegCommand#pause
+   */
+
+  /**
+   * Emitted when ffmpeg has been resumed with {@link FfmpegCommand#resume}
+   *
+   * @event FfmpegCommand#resume
    */
 
   /**
@@ -74,17 +278,29 @@ module.exports = function(proto) {
    * Emitted when an error happens when preparing or running a command
    *
    * @event FfmpegCommand#error
-   * @param {Error} error error object, with optional properties 'inputStreamError' / 'outputStreamError' for errors on their respective streams
+   * @param {FfmpegError} error error object, an instance of one of the FfmpegError subclasses from lib/errors.js,
+   *   with optional properties 'inputStreamError' / 'outputStreamError' for errors on their respective streams
+   *   (along with 'inputIndex' / 'outputIndex', the index of the failing input or output)
    * @param {String|null} stdout ffmpeg stdout, unless outputting to a stream
    * @param {String|null} stderr ffmpeg stderr
    */
 
+  /**
+   * Emitted when ffmpeg failed and is about to be run again (see the `retry` option of {@link FfmpegCommand#run})
+   *
+   * @event FfmpegCommand#retry
+   * @param {Number} attempt number of the next attempt (2 for the first retry)
+   * @param {FfmpegError} error error the previous attempt failed with
+   * @param {Number} delay delay in milliseconds before the next attempt
+   */
+
   /**
    * Emitted when a command finishes processing
    *
    * @event FfmpegCommand#end
    * @param {Array|String|null} [filenames|stdout] generated filenames when taking screenshots, ffmpeg stdout when not outputting to a stream, null otherwise
    * @param {String|null} stderr ffmpeg stderr
+   * @param {Object} [stats] ffmpeg resource usage, see {@link FfmpegCommand#run}
    */
 
 
@@ -96,6 +312,8 @@ module.exports = function(proto) {
    * - `cwd`: change working directory
    * - 'captureStdout': capture stdout and pass it to 'endCB' as its 2nd argument (default: false)
    * - 'stdoutLines': override command limit (default: use command limit)
+   * - 'signal': AbortSignal killing the process when aborted, in which case 'endCB' receives an AbortError
+   * - 'progressFd': open an extra pipe on this file descriptor to read ffmpeg '-progress' output from
    *
    * The 'processCB' callback, if present, is called as soon as the process is created and
    * receives a nodejs ChildProcess object.  It may not be called at all if an error happens
@@ -106,7 +324,7 @@ module.exports = function(proto) {
    * @method FfmpegCommand#_spawnFfmpeg
    * @param {Array} args ffmpeg command line argument list
    * @param {Object} [options] spawn options (see above)
-   * @param {Function} [processCB] callback called with process object and stdout/stderr ring buffers when process has been created
+   * @param {Function} [processCB] callback called with process object and stdout/stderr/progress ring buffers when process has been created
    * @param {Function} endCB callback called with error (if applicable) and stdout/stderr ring buffers when process finished
    * @private
    */
@@ -126,17 +344,32 @@ module.exports = function(proto) {
 
     var maxLines = 'stdoutLines' in options ? options.stdoutLines : this.options.stdoutLines;
 
+    // Ensure endCB is called only once, as an aborted process reports both an error and its exit
+    var ended = false;
+    var callback = endCB;
+    endCB = function() {
+      if (!ended) {
+        ended = true;
+        callback.apply(null, arguments);
+      }
+    };
+
     // Find ffmpeg
     this._getFfmpegPath(function(err, command) {
       if (err) {
         return endCB(err);
       } else if (!command || command.length === 0) {
-        return endCB(new Error('Cannot find ffmpeg'));
+        return endCB(new errors.FfmpegSpawnError('Cannot find ffmpeg', { args: args }));
+      } else if (options.signal && options.signal.aborted) {
+        return endCB(utils.abortError(options.signal));
       }
 
+      // Keep ffmpeg arguments for error reporting
+      var ffmpegArgs = args.slice();
+
       // Apply niceness
       if (options.niceness && options.niceness !== 0 && !utils.isWindows) {
-        args.unshift('-n', options.niceness, command);
+        args = ['-n', options.niceness, command].concat(args);
         command = 'nice';
       }
 
@@ -146,6 +379,21 @@ module.exports = function(proto) {
       var stderrRing = utils.linesRing(maxLines);
       var stderrClosed = false;
 
+      var progressRing = null;
+      var progressClosed = true;
+
+      // Open an extra pipe for progress output
+      if (options.progressFd) {
+        options.stdio = (options.stdio || ['pipe', 'pipe', 'pipe']).slice();
+        while (options.stdio.length <= options.progressFd) {
+          options.stdio.push('pipe');
+        }
+
+        // Only keep the last line, progress output is handled through callbacks
+        progressRing = utils.linesRing(1);
+        progressClosed = false;
+      }
+
       // Spawn process
       var ffmpegProc = spawn(command, args, options);
 
@@ -154,33 +402,43 @@ module.exports = function(proto) {
       }
 
       ffmpegProc.on('error', function(err) {
-        endCB(err);
+        if (err.name === 'AbortError') {
+          endCB(utils.abortError(options.signal));
+        } else {
+          endCB(new errors.FfmpegSpawnError(err.message, { args: ffmpegArgs, cause: err }));
+        }
       });
 
       // Ensure we wait for captured streams to end before calling endCB
-      var exitError = null;
-      function handleExit(err) {
-        if (err) {
-          exitError = err;
-        }
+      function handleExit() {
+        if (processExited && (stdoutClosed || !options.captureStdout) && stderrClosed && progressClosed) {
+          var exitError = null;
+          var details = {
+            exitCode: exitCode,
+            signal: exitSignal,
+            args: ffmpegArgs,
+            stderr: stderrRing.get()
+          };
+
+          if (exitSignal) {
+            exitError = new errors.FfmpegSignalError('ffmpeg was killed with signal ' + exitSignal, details);
+          } else if (exitCode) {
+            exitError = new errors.FfmpegExitError('ffmpeg exited with code ' + exitCode, details);
+          }
 
-        if (processExited && (stdoutClosed || !options.captureStdout) && stderrClosed) {
           endCB(exitError, stdoutRing, stderrRing);
         }
       }
 
       // Handle process exit
       var processExited = false;
+      var exitCode = null;
+      var exitSignal = null;
       ffmpegProc.on('exit', function(code, signal) {
         processExited = true;
-
-        if (signal) {
-          handleExit(new Error('ffmpeg was killed with signal ' + signal));
-        } else if (code) {
-          handleExit(new Error('ffmpeg exited with code ' + code));
-        } else {
-          handleExit();
-        }
+        exitCode = code;
+        exitSignal = signal;
+        handleExit();
       });
 
       // Capture stdout if specified
@@ -207,12 +465,72 @@ module.exports = function(proto) {
         handleExit();
       });
 
+      // Capture progress output if specified
+      if (progressRing) {
+        var progressStream = ffmpegProc.stdio[options.progressFd];
+        progressStream.setEncoding('utf8');
+
+        progressStream.on('data', function(data) {
+          progressRing.append(data);
+        });
+
+        progressStream.on('close', function() {
+          progressRing.close();
+          progressClosed = true;
+          handleExit();
+        });
+      }
+
       // Call process callback
-      processCB(ffmpegProc, stdoutRing, stderrRing);
+      processCB(ffmpegProc, stdoutRing, stderrRing, progressRing);
     });
   };
 
 
+  /**
+   * Allocate ffmpeg file descriptors to stream inputs and outputs
+   *
+   * The first stream input is piped to ffmpeg stdin (pipe:0) and the first stream
+   * output is piped from ffmpeg stdout (pipe:1).  Following ones use additional file
+   * descriptors, starting at 3 (inputs first, then outputs).
+   *
+   * @method FfmpegCommand#_getStreamPipes
+   * @return {Object} object with `inputs` and `outputs` keys (file descriptors indexed like
+   *   inputs and outputs, undefined for non-stream ones) and a `nextFd` key (first
+   *   unallocated file descriptor)
+   * @private
+   */
+  proto._getStreamPipes = function() {
+    var pipes = { inputs: [], outputs: [], nextFd: 3 };
+    var stdinUsed = false;
+    var stdoutUsed = false;
+
+    this._inputs.forEach(function(input, index) {
+      if (input.isStream) {
+        if (!stdinUsed) {
+          stdinUsed = true;
+          pipes.inputs[index] = 0;
+        } else {
+          pipes.inputs[index] = pipes.nextFd++;
+        }
+      }
+    });
+
+    this._outputs.forEach(function(output, index) {
+      if (output.target && typeof output.target !== 'string') {
+        if (!stdoutUsed) {
+          stdoutUsed = true;
+          pipes.outputs[index] = 1;
+        } else {
+          pipes.outputs[index] = pipes.nextFd++;
+        }
+      }
+    });
+
+    return pipes;
+  };
+
+
   /**
    * Build the argument list for an ffmpeg command
    *
@@ -222,6 +540,7 @@ module.exports = function(proto) {
    */
   proto._getArguments = function() {
     var complexFilters = this._complexFilters.get();
+    var pipes = this._getStreamPipes();
 
     var fileOutput = this._outputs.some(function(output) {
       return output.isFile;
@@ -229,8 +548,8 @@ module.exports = function(proto) {
 
     return [].concat(
         // Inputs and input options
-        this._inputs.reduce(function(args, input) {
-          var source = (typeof input.source === 'string') ? input.source : 'pipe:0';
+        this._inputs.reduce(function(args, input, index) {
+          var source = (typeof input.source === 'string') ? input.source : 'pipe:' + pipes.inputs[index];
 
           // For each input, add input options, then '-i <source>'
           return args.concat(
@@ -242,6 +561,9 @@ module.exports = function(proto) {
         // Global options
         this._global.get(),
 
+        // Report resource usage
+        this.options.benchmark ? ['-benchmark'] : [],
+
         // Overwrite if we have file outputs
         fileOutput ? ['-y'] : [],
 
@@ -249,7 +571,7 @@ module.exports = function(proto) {
         complexFilters,
 
         // Outputs, filters and output options
-        this._outputs.reduce(function(args, output) {
+        this._outputs.reduce(function(args, output, index) {
           var sizeFilters = utils.makeFilterStrings(output.sizeFilters.get());
           var audioFilters = output.audioFilters.get();
           var videoFilters = output.videoFilters.get().concat(sizeFilters);
@@ -258,9 +580,9 @@ module.exports = function(proto) {
           if (!output.target) {
             outputArg = [];
           } else if (typeof output.target === 'string') {
-            outputArg = [output.target];
+            outputArg = [output.tempTarget || output.target];
           } else {
-            outputArg = ['pipe:1'];
+            outputArg = ['pipe:' + pipes.outputs[index]];
           }
 
           return args.concat(
@@ -269,6 +591,7 @@ module.exports = function(proto) {
             output.video.get(),
             videoFilters.length ? ['-filter:v', videoFilters.join(',')] : [],
             output.options.get(),
+            output.passLogFile ? ['-pass', '2', '-passlogfile', output.passLogFile] : [],
             outputArg
           );
         }, [])
@@ -285,15 +608,21 @@ module.exports = function(proto) {
    * @method FfmpegCommand#_prepare
    * @param {Function} callback callback with signature (err, args)
    * @param {Boolean} [readMetadata=false] read metadata before processing
+   * @param {AbortSignal} [signal] signal aborting capability queries and metadata reading
    * @private
    */
-  proto._prepare = function(callback, readMetadata) {
+  proto._prepare = function(callback, readMetadata, signal) {
     var self = this;
 
     async.waterfall([
       // Check codecs and formats
       function(cb) {
-        self._checkCapabilities(cb);
+        self._checkCapabilities(cb, signal);
+      },
+
+      // Check codec, format and pixel format compatibility
+      function(cb) {
+        self._checkCompatibility(cb, signal);
       },
 
       // Read metadata if required
@@ -302,7 +631,7 @@ module.exports = function(proto) {
           return cb();
         }
 
-        self.ffprobe(0, function(err, data) {
+        self.ffprobe(0, { signal: signal }, function(err, data) {
           if (!err) {
             self._ffprobeData = data;
           }
@@ -346,7 +675,11 @@ module.exports = function(proto) {
 
       // Add "-strict experimental" option where needed
       function(args, cb) {
-        self.availableEncoders(function(err, encoders) {
+        self._availableEncoders(function(err, encoders) {
+          if (err) {
+            return cb(err);
+          }
+
           for (var i = 0; i < args.length; i++) {
             if (args[i] === '-acodec' || args[i] === '-vcodec') {
               i++;
@@ -359,39 +692,245 @@ module.exports = function(proto) {
           }
 
           cb(null, args);
-        });
+        }, signal);
       }
     ], callback);
+  };
 
-    if (!readMetadata) {
-      // Read metadata as soon as 'progress' listeners are added
 
-      if (this.listeners('progress').length > 0) {
-        // Read metadata in parallel
-        runFfprobe(this);
-      } else {
-        // Read metadata as soon as the first 'progress' listener is added
-        this.once('newListener', function(event) {
-          if (event === 'progress') {
-            runFfprobe(this);
-          }
-        });
+  /**
+   * Make the command awaitable until the processing it starts ends
+   *
+   * Adds `then()` and `catch()` methods to the command, so that it can be awaited
+   * directly (eg. `await command.save('/path/to/output.mp4')`).  The command resolves
+   * with the same value as {@link FfmpegCommand#runAsync}, or rejects with the error
+   * passed to the 'error' event.
+   *
+   * Those methods are only added once processing has been requested, so that commands
+   * that have not been started yet can still be returned from async functions.
+   *
+   * Errors of commands that are neither awaited nor listened to with an 'error' handler
+   * are thrown, as for any EventEmitter.
+   *
+   * @method FfmpegCommand#_makeAwaitable
+   * @private
+   */
+  proto._makeAwaitable = function() {
+    var state = this._awaitable;
+
+    if (state && !state.settled) {
+      // Already tracking the current processing
+      return;
+    }
+
+    var self = this;
+    var filenames = null;
+    var resolve, reject;
+
+    // Generated filenames may be reported before anyone awaits the command
+    function onFilenames(names) {
+      filenames = names;
+    }
+
+    function onEnd(stdout, stderr) {
+      settle();
+
+      resolve({
+        stdout: stdout,
+        stderr: stderr,
+        filenames: filenames
+      });
+    }
+
+    function onError(err) {
+      settle();
+      reject(err);
+
+      if (!state.consumed && !self.listenerCount('error')) {
+        // Nobody handles the error, behave as an EventEmitter without 'error' listener
+        throw err;
       }
     }
+
+    function settle() {
+      self.removeListener('filenames', onFilenames);
+      self.removeListener('end', onEnd);
+      self.removeListener('error', onError);
+      state.settled = true;
+    }
+
+    // Listen from the start, so that commands awaited after they ended settle as well
+    state = this._awaitable = {
+      settled: false,
+      consumed: false,
+      promise: new Promise(function(res, rej) {
+        resolve = res;
+        reject = rej;
+      })
+    };
+
+    // Errors are reported by the 'error' event (or thrown) unless awaited, do not report them as unhandled
+    state.promise.catch(function() {});
+
+    this.on('filenames', onFilenames);
+    this.on('end', onEnd);
+    this.on('error', onError);
+
+    this.then = function(onFulfilled, onRejected) {
+      state.consumed = true;
+      return state.promise.then(onFulfilled, onRejected);
+    };
+
+    this.catch = function(onRejected) {
+      state.consumed = true;
+      return state.promise.catch(onRejected);
+    };
+  };
+
+
+  /**
+   * Run the analysis pass of two-pass outputs, then run the command again for the final pass
+   *
+   * The first pass runs on a clone of the command, writing to a null muxer with
+   * pass log files in a temporary directory.  Calls to stop(), pause() and resume()
+   * are forwarded to the clone while it runs; when it is stopped, the final pass
+   * is not run.
+   *
+   * @method FfmpegCommand#_runFirstPass
+   * @param {Object[]} outputs two-pass outputs
+   * @param {Object} options run options
+   * @private
+   */
+  proto._runFirstPass = function(outputs, options) {
+    var self = this;
+
+    var streamInput = this._inputs.findIndex(function(input) {
+      return input.isStream;
+    });
+
+    if (streamInput !== -1) {
+      // Input streams cannot be read twice
+      process.nextTick(function() {
+        self.emit('error', new errors.FfmpegInputStreamError('Two-pass encoding cannot be used with input streams', {
+          inputIndex: streamInput
+        }));
+      });
+
+      return;
+    }
+
+    fs.mkdtemp(path.join(os.tmpdir(), 'fluent-ffmpeg-'), function(err, dir) {
+      if (err) {
+        return self.emit('error', err);
+      }
+
+      var pass = self.clone();
+      pass._progressRange = [0, 50];
+
+      self._passLogDir = dir;
+      self._firstPass = { command: pass, stopped: false };
+
+      // Analyze video only, discarding output
+      pass._outputs = outputs.map(function(output, index) {
+        var passOutput = utils.copyOutput(output, utils.isWindows ? 'NUL' : '/dev/null');
+
+        output.passLogFile = path.join(dir, 'pass' + index);
+        passOutput.options('-an', '-pass', '1', '-passlogfile', output.passLogFile, '-f', 'null');
+
+        return passOutput;
+      });
+
+      pass._currentOutput = pass._outputs[pass._outputs.length - 1];
+
+      // Let the first pass process be controlled from the command
+      pass.on('start', function() {
+        self.ffmpegProc = pass.ffmpegProc;
+      });
+
+      ['start', 'stderr', 'progress', 'pause', 'resume'].forEach(function(event) {
+        if (self.listeners(event).length) {
+          pass.on(event, function(data) {
+            self.emit(event, data);
+          });
+        }
+      });
+
+      pass.on('error', function(err, stdout, stderr) {
+        delete self.ffmpegProc;
+        delete self._firstPass;
+
+        removePassLogs(self, function() {
+          self.emit('error', err, stdout, stderr);
+        });
+      });
+
+      pass.on('end', function(stdout, stderr, stats) {
+        var stopped = self._firstPass.stopped;
+
+        delete self.ffmpegProc;
+        delete self._firstPass;
+
+        if (stopped) {
+          return removePassLogs(self, function() {
+            self.emit('end', stdout, stderr, stats);
+          });
+        }
+
+        // Run the final pass
+        self._progressRange = [50, 100];
+        self.run(options);
+      });
+
+      pass.run(options);
+    });
   };
 
 
   /**
    * Run ffmpeg command
    *
+   * When aborted through the `signal` option (or the `signal` command option), ffmpeg
+   * is asked to terminate gracefully and is killed if it is still running after 5 seconds.
+   * In any case an error named 'AbortError' is emitted once ffmpeg has exited, and no
+   * ffmpeg process is started at all when aborting before it has been spawned.
+   *
+   * Transient failures (eg. connection errors on network inputs) can be retried using
+   * the `retry` option.  ffmpeg is then run again with the same arguments, after emitting
+   * a 'retry' event.  Commands using input or output streams are never retried, as
+   * streams cannot be replayed.
+   *
+   * Once ffmpeg has exited, its resource usage is available as the `stats` property of the
+   * command, and passed as the 3rd argument of the 'end' event.  It has the following keys:
+   * - 'wallTime': processing time in seconds
+   * - 'cpuUser', 'cpuSystem': CPU time spent in user and system mode in seconds
+   * - 'maxRss': peak resident memory in kilobytes
+   * - 'benchmark': values reported by ffmpeg when the `benchmark` command option is set
+   *   ('utime', 'stime', 'rtime' in seconds and 'maxrss' in kilobytes), null otherwise
+   *
+   * CPU and memory usage are read from ffmpeg '-benchmark' output when available, and
+   * otherwise sampled from /proc on Linux (null on other platforms).
+   *
    * @method FfmpegCommand#run
    * @category Processing
    * @aliases exec,execute
+   *
+   * @param {Object} [options] run options
+   * @param {AbortSignal} [options.signal] signal aborting processing, in addition to the
+   *   `signal` command option
+   * @param {Object} [options.retry] retry policy, no retry when not specified
+   * @param {Number} [options.retry.attempts=3] maximum number of attempts, including the first one
+   * @param {Number|Function} [options.retry.backoff=1000] delay in milliseconds before the first retry,
+   *   doubled at each attempt, or function returning the delay given the next attempt number
+   * @param {String[]|Function} [options.retry.retryOn] failure reasons (see FfmpegError#reason) to retry on,
+   *   or function returning whether to retry given the error and the failed attempt number; defaults to
+   *   connection errors, I/O errors and stalled processes; processing timeouts (see the `timeout`
+   *   command option) are never retried
    */
   proto.exec =
   proto.execute =
-  proto.run = function() {
+  proto.run = function(options) {
     var self = this;
+    options = options || {};
 
     // Check if at least one output is present
     var outputPresent = this._outputs.some(function(output) {
@@ -402,15 +941,56 @@ module.exports = function(proto) {
       throw new Error('No output specified');
     }
 
-    // Get output stream if any
-    var outputStream = this._outputs.filter(function(output) {
-      return typeof output.target !== 'string';
-    })[0];
+    this._makeAwaitable();
+
+    // Run the first pass of two-pass outputs before the final pass
+    if (!this._passLogDir) {
+      var twoPass = this._outputs.filter(function(output) {
+        if (output.flags.twoPass && output.video.get().indexOf('-b:v') === -1) {
+          self.logger.warn('No video bitrate set for ' + output.target + ', ignoring two-pass encoding');
+          return false;
+        }
+
+        return output.flags.twoPass;
+      });
+
+      if (twoPass.length) {
+        this._runFirstPass(twoPass, options);
+        return;
+      }
+    }
+
+    // Allocate pipes for streams, progress information is written on the next free one
+    var pipes = this._getStreamPipes();
+    var progressFd = pipes.nextFd;
 
-    // Get input stream if any
-    var inputStream = this._inputs.filter(function(input) {
-      return typeof input.source !== 'string';
-    })[0];
+    var stdio = ['pipe', 'pipe', 'pipe'];
+    while (stdio.length < pipes.nextFd) {
+      stdio.push('pipe');
+    }
+
+    // ffmpeg stdout is used by the first output stream if any
+    var stdoutPiped = pipes.outputs.indexOf(1) !== -1;
+
+    // Follow both command and run abort signals
+    var abort = utils.anySignal([this.options.signal, options.signal]);
+    var abortError = null;
+    var abortTimer = null;
+
+    // Retry policy, only when streams need not be replayed
+    var retry = options.retry ? retryPolicy(options.retry) : null;
+    var replayable = !pipes.inputs.length && !pipes.outputs.length;
+    var attempt = 1;
+    var retryTimer = null;
+
+    // Write atomic outputs to temporary files, renamed once processing succeeded
+    var atomic = false;
+    this._outputs.forEach(function(output) {
+      if (output.flags.atomic) {
+        atomic = true;
+        output.tempTarget = atomicTempPath(output.target);
+      }
+    });
 
     // Ensure we send 'end' or 'error' only once
     var ended = false;
@@ -418,182 +998,582 @@ module.exports = function(proto) {
       if (!ended) {
         ended = true;
 
-        if (err) {
-          self.emit('error', err, stdout, stderr);
+        if (abort.signal) {
+          abort.signal.removeEventListener('abort', handleAbort);
+          abort.dispose();
+        }
+
+        if (atomic || self._passLogDir) {
+          finishAtomicOutputs(self, err, function(renameErr) {
+            removePassLogs(self, function() {
+              emitResult(err || renameErr, stdout, stderr);
+            });
+          });
         } else {
-          self.emit('end', stdout, stderr);
+          emitResult(err, stdout, stderr);
         }
       }
     }
 
-    self._prepare(function(err, args) {
+    function emitResult(err, stdout, stderr) {
+      if (err) {
+        self.emit('error', err, stdout, stderr);
+      } else {
+        self.emit('end', stdout, stderr, self.stats);
+      }
+    }
+
+    function handleAbort() {
+      abortError = utils.abortError(abort.signal);
+      clearTimeout(retryTimer);
+
+      if (self.ffmpegProc) {
+        if (self._paused) {
+          // ffmpeg would not handle termination while suspended
+          self.resume();
+        }
+
+        // Let ffmpeg terminate gracefully, error will be emitted on exit
+        var ffmpegProc = self.ffmpegProc;
+        self.logger.debug('Processing aborted, terminating ffmpeg process');
+        ffmpegProc.kill('SIGTERM');
+
+        abortTimer = setTimeout(function() {
+          self.logger.debug('ffmpeg process did not terminate, killing it');
+          ffmpegProc.kill('SIGKILL');
+        }, 5000);
+      } else {
+        emitEnd(abortError);
+      }
+    }
+
+    if (abort.signal) {
+      if (abort.signal.aborted) {
+        // Defer so that listeners can still be added
+        process.nextTick(handleAbort);
+      } else {
+        abort.signal.addEventListener('abort', handleAbort, { once: true });
+      }
+    }
+
+    async.waterfall([
+      function(cb) {
+        self._prepare(cb, false, abort.signal);
+      },
+
+      // Request machine-readable progress information when someone listens to it,
+      // or for the inactivity watchdog, as stderr may not report progress (eg. with -nostats)
+      function(args, cb) {
+        if (!self.listeners('progress').length && !self.options.inactivityTimeout) {
+          return cb(null, args, false);
+        }
+
+        self._supportsProgressPipe(function(err, supported) {
+          if (err || !supported) {
+            // Fall back to parsing progress information from stderr
+            return cb(null, args, false);
+          }
+
+          cb(null, ['-progress', 'pipe:' + progressFd].concat(args), true);
+        }, abort.signal);
+      }
+    ], function(err, args, progressPipe) {
+      if (abortError) {
+        // Aborted while preparing, error has already been emitted
+        return;
+      }
+
       if (err) {
         return emitEnd(err);
       }
 
-      // Run ffmpeg
-      self._spawnFfmpeg(
-        args,
-        {
-          captureStdout: !outputStream,
-          niceness: self.options.niceness,
-          cwd: self.options.cwd,
-          windowsHide: true
-        }, 
-
-        function processCB(ffmpegProc, stdoutRing, stderrRing) {
-          self.ffmpegProc = ffmpegProc;
-          self.emit('start', 'ffmpeg ' + args.join(' '));
-
-          // Pipe input stream if any
-          if (inputStream) {
-            inputStream.source.on('error', function(err) {
-              var reportingErr = new Error('Input stream error: ' + err.message);
-              reportingErr.inputStreamError = err;
-              emitEnd(reportingErr);
-              ffmpegProc.kill();
-            });
+      // ffmpeg resource usage monitoring
+      var monitor = null;
+      var spawnTime = null;
+
+      // Run ffmpeg, again when retrying
+      spawnAttempt();
+
+      function spawnAttempt() {
+        self._spawnFfmpeg(
+          args,
+          {
+            captureStdout: !stdoutPiped,
+            niceness: self.options.niceness,
+            cwd: self.options.cwd,
+            stdio: stdio,
+            progressFd: progressPipe ? progressFd : null,
+            windowsHide: true
+          },
+          processCB,
+          endCB
+        );
+      }
 
-            inputStream.source.resume();
-            inputStream.source.pipe(ffmpegProc.stdin);
+      // Error causing ffmpeg to be killed by the inactivity watchdog, reported once it has exited
+      var killError = null;
 
-            // Set stdin error handler on ffmpeg (prevents nodejs catching the error, but
-            // ffmpeg will fail anyway, so no need to actually handle anything)
-            ffmpegProc.stdin.on('error', function() {});
+      function processCB(ffmpegProc, stdoutRing, stderrRing, progressRing) {
+        self.ffmpegProc = ffmpegProc;
+        killError = null;
+
+        spawnTime = Date.now();
+        monitor = monitorResources(ffmpegProc.pid);
+
+        // Reset pause state and processing time
+        self._startTime = Date.now();
+        self._pausedTime = 0;
+        delete self._paused;
+
+        // Setup timeout if requested
+        if (self.options.timeout) {
+          self._timeoutHandler = function() {
+            var msg = 'process ran into a timeout (' + self.options.timeout + 's)';
+            var timeoutErr = new errors.FfmpegTimeoutError(msg, { args: args, stderr: stderrRing.get() });
+
+            emitEnd(timeoutErr, stdoutRing.get(), stderrRing.get());
+            ffmpegProc.kill();
+          };
+
+          self._timeoutDeadline = Date.now() + self.options.timeout * 1000;
+          self.processTimer = setTimeout(self._timeoutHandler, self.options.timeout * 1000);
+        }
+
+        // Setup inactivity watchdog if requested
+        if (self.options.inactivityTimeout) {
+          self._inactivityHandler = function() {
+            var msg = 'process stalled, no activity for ' + self.options.inactivityTimeout + 's';
+            killError = new errors.FfmpegStalledError(msg, { args: args, stderr: stderrRing.get() });
+            ffmpegProc.kill('SIGKILL');
+          };
+
+          self._inactivityTimer = setTimeout(self._inactivityHandler, self.options.inactivityTimeout * 1000);
+        }
+
+        // Restart inactivity watchdog when ffmpeg reports progress or produces output
+        function activity() {
+          if (self._inactivityHandler && !self._paused) {
+            clearTimeout(self._inactivityTimer);
+            self._inactivityTimer = setTimeout(self._inactivityHandler, self.options.inactivityTimeout * 1000);
           }
+        }
 
-          // Setup timeout if requested
-          if (self.options.timeout) {
-            self.processTimer = setTimeout(function() {
-              var msg = 'process ran into a timeout (' + self.options.timeout + 's)';
+        self.emit('start', 'ffmpeg ' + args.join(' '));
 
-              emitEnd(new Error(msg), stdoutRing.get(), stderrRing.get());
-              ffmpegProc.kill();
-            }, self.options.timeout * 1000);
+        if (abortError) {
+          // Aborted while spawning
+          ffmpegProc.kill('SIGKILL');
+        }
+
+        // Pipe input streams if any
+        self._inputs.forEach(function(input, index) {
+          if (!input.isStream) {
+            return;
           }
 
+          var pipe = ffmpegProc.stdio[pipes.inputs[index]];
+
+          input.source.on('error', function(err) {
+            var reportingErr = new errors.FfmpegInputStreamError('Input stream error: ' + err.message, {
+              args: args,
+              cause: err,
+              inputIndex: index
+            });
+
+            emitEnd(reportingErr);
+            ffmpegProc.kill();
+          });
+
+          input.source.resume();
+          input.source.pipe(pipe);
+
+          // Set pipe error handler on ffmpeg (prevents nodejs catching the error, but
+          // ffmpeg will fail anyway, so no need to actually handle anything)
+          pipe.on('error', function() {});
+        });
 
-          if (outputStream) {
-            // Pipe ffmpeg stdout to output stream
-            ffmpegProc.stdout.pipe(outputStream.target, outputStream.pipeopts);
 
-            // Handle output stream events
-            outputStream.target.on('close', function() {
-              self.logger.debug('Output stream closed, scheduling kill for ffmpeg process');
+        // Pipe output streams if any
+        self._outputs.forEach(function(output, index) {
+          if (typeof pipes.outputs[index] === 'undefined') {
+            return;
+          }
 
-              // Don't kill process yet, to give a chance to ffmpeg to
-              // terminate successfully first  This is necessary because
-              // under load, the process 'exit' event sometimes happens
-              // after the output stream 'close' event.
-              setTimeout(function() {
-                emitEnd(new Error('Output stream closed'));
-                ffmpegProc.kill();
-              }, 20);
+          // Pipe ffmpeg output to output stream
+          var pipe = ffmpegProc.stdio[pipes.outputs[index]];
+          pipe.pipe(output.target, output.pipeopts);
+          pipe.on('data', activity);
+
+          // Handle output stream events
+          output.target.on('close', function() {
+            self.logger.debug('Output stream closed, scheduling kill for ffmpeg process');
+
+            // Don't kill process yet, to give a chance to ffmpeg to
+            // terminate successfully first  This is necessary because
+            // under load, the process 'exit' event sometimes happens
+            // after the output stream 'close' event.
+            setTimeout(function() {
+              emitEnd(new errors.FfmpegOutputStreamError('Output stream closed', { args: args, outputIndex: index }));
+              ffmpegProc.kill();
+            }, 20);
+          });
+
+          output.target.on('error', function(err) {
+            self.logger.debug('Output stream error, killing ffmpeg process');
+            var reportingErr = new errors.FfmpegOutputStreamError('Output stream error: ' + err.message, {
+              args: args,
+              stderr: stderrRing.get(),
+              cause: err,
+              outputIndex: index
             });
 
-            outputStream.target.on('error', function(err) {
-              self.logger.debug('Output stream error, killing ffmpeg process');
-              var reportingErr = new Error('Output stream error: ' + err.message);
-              reportingErr.outputStreamError = err;
-              emitEnd(reportingErr, stdoutRing.get(), stderrRing.get());
-              ffmpegProc.kill('SIGKILL');
+            emitEnd(reportingErr, stdoutRing.get(), stderrRing.get());
+            ffmpegProc.kill('SIGKILL');
+          });
+        });
+
+        // Setup stderr handling
+        if (stderrRing) {
+
+          // Inactivity watchdog
+          if (self._inactivityHandler) {
+            stderrRing.callback(function(line) {
+              if (progressLineRegexp.test(line)) {
+                activity();
+              }
             });
           }
 
-          // Setup stderr handling
-          if (stderrRing) {
-
-            // 'stderr' event
-            if (self.listeners('stderr').length) {
-              stderrRing.callback(function(line) {
-                self.emit('stderr', line);
-              });
-            }
+          // 'stderr' event
+          if (self.listeners('stderr').length) {
+            stderrRing.callback(function(line) {
+              self.emit('stderr', line);
+            });
+          }
 
-            // 'codecData' event
-            if (self.listeners('codecData').length) {
-              var codecDataSent = false;
-              var codecObject = {};
+          // 'codecData' event
+          if (self.listeners('codecData').length) {
+            var codecDataSent = false;
+            var codecObject = {};
 
-              stderrRing.callback(function(line) {
-                if (!codecDataSent)
-                  codecDataSent = utils.extractCodecData(self, line, codecObject);
-              });
-            }
+            stderrRing.callback(function(line) {
+              if (!codecDataSent)
+                codecDataSent = utils.extractCodecData(self, line, codecObject);
+            });
+          }
 
-            // 'progress' event
-            if (self.listeners('progress').length) {
-              stderrRing.callback(function(line) {
+          // 'progress' event, when not read from the progress pipe
+          if (self.listeners('progress').length && !progressRing) {
+            stderrRing.callback(function(line) {
+              // Don't report output buffered before ffmpeg was paused
+              if (!self._paused) {
                 utils.extractProgress(self, line);
-              });
-            }
+              }
+            });
           }
-        },
+        }
 
-        function endCB(err, stdoutRing, stderrRing) {
-          clearTimeout(self.processTimer);
-          delete self.ffmpegProc;
+        // Setup progress pipe handling
+        if (progressRing && self._inactivityHandler) {
+          progressRing.callback(activity);
+        }
 
-          if (err) {
-            if (err.message.match(/ffmpeg exited with code/)) {
-              // Add ffmpeg error message
-              err.message += ': ' + utils.extractError(stderrRing.get());
+        if (progressRing && self.listeners('progress').length) {
+          var progressBlock = {};
+
+          progressRing.callback(function(line) {
+            // Don't report output buffered before ffmpeg was paused
+            if (!self._paused) {
+              utils.extractProgressPipe(self, line, progressBlock);
             }
+          });
+        }
+      }
 
-            emitEnd(err, stdoutRing.get(), stderrRing.get());
-          } else {
-            // Find out which outputs need flv metadata
-            var flvmeta = self._outputs.filter(function(output) {
-              return output.flags.flvmeta;
-            });
+      function endCB(err, stdoutRing, stderrRing) {
+        clearTimeout(self.processTimer);
+        clearTimeout(self._inactivityTimer);
+        clearTimeout(abortTimer);
+        delete self.ffmpegProc;
+        delete self._timeoutHandler;
+        delete self._inactivityHandler;
+        delete self._paused;
+
+        if (monitor) {
+          monitor.stop();
+
+          var benchmark = stderrRing ? utils.extractBenchmark(stderrRing.get()) : null;
+
+          self.stats = {
+            wallTime: (Date.now() - spawnTime) / 1000,
+            cpuUser: benchmark && 'utime' in benchmark ? benchmark.utime : monitor.usage.cpuUser,
+            cpuSystem: benchmark && 'stime' in benchmark ? benchmark.stime : monitor.usage.cpuSystem,
+            maxRss: benchmark && 'maxrss' in benchmark ? benchmark.maxrss : monitor.usage.maxRss,
+            benchmark: benchmark
+          };
+
+          monitor = null;
+        }
 
-            if (flvmeta.length) {
-              self._getFlvtoolPath(function(err, flvtool) {
-                if (err) {
-                  return emitEnd(err);
-                }
+        if (killError) {
+          err = killError;
+        }
 
-                async.each(
-                  flvmeta,
-                  function(output, cb) {
-                    spawn(flvtool, ['-U', output.target], {windowsHide: true})
-                      .on('error', function(err) {
-                        cb(new Error('Error running ' + flvtool + ' on ' + output.target + ': ' + err.message));
-                      })
-                      .on('exit', function(code, signal) {
-                        if (code !== 0 || signal) {
-                          cb(
-                            new Error(flvtool + ' ' +
-                              (signal ? 'received signal ' + signal
-                                      : 'exited with code ' + code)) +
-                              ' when running on ' + output.target
-                          );
-                        } else {
-                          cb();
-                        }
-                      });
-                  },
-                  function(err) {
-                    if (err) {
-                      emitEnd(err);
-                    } else {
-                      emitEnd(null, stdoutRing.get(), stderrRing.get());
-                    }
-                  }
-                );
-              });
+        var stopping = self._stopping;
+        delete self._stopping;
+
+        if (stopping) {
+          clearTimeout(stopping.timer);
+
+          if (err && !stopping.killed) {
+            // ffmpeg exits with an error code when interrupted, but output has been finalized
+            self.logger.debug('ffmpeg stopped gracefully (' + err.message + ')');
+            err = null;
+          }
+        }
+
+        if (abortError) {
+          emitEnd(abortError, stdoutRing && stdoutRing.get(), stderrRing && stderrRing.get());
+        } else if (err) {
+          if (err instanceof errors.FfmpegExitError) {
+            // Add ffmpeg error message
+            err.message += ': ' + utils.extractError(stderrRing.get());
+          }
+
+          if (retry && !ended && attempt < retry.attempts && retry.retryOn(err, attempt)) {
+            if (!replayable) {
+              self.logger.debug('Not retrying ffmpeg, input or output streams cannot be replayed');
             } else {
-              emitEnd(null, stdoutRing.get(), stderrRing.get());
+              attempt++;
+
+              var delay = retry.delay(attempt);
+              self.logger.debug('ffmpeg failed (' + err.message + '), retrying in ' + delay + 'ms');
+              self.emit('retry', attempt, err, delay);
+
+              retryTimer = setTimeout(spawnAttempt, delay);
+              return;
             }
           }
+
+          emitEnd(err, stdoutRing.get(), stderrRing.get());
+        } else {
+          // Find out which outputs need flv metadata
+          var flvmeta = self._outputs.filter(function(output) {
+            return output.flags.flvmeta;
+          });
+
+          if (flvmeta.length) {
+            self._getFlvtoolPath(function(err, flvtool) {
+              if (err) {
+                return emitEnd(err);
+              }
+
+              async.each(
+                flvmeta,
+                function(output, cb) {
+                  // Update atomic outputs before renaming them
+                  var target = output.tempTarget || output.target;
+
+                  spawn(flvtool, ['-U', target], {windowsHide: true})
+                    .on('error', function(err) {
+                      cb(new Error('Error running ' + flvtool + ' on ' + target + ': ' + err.message));
+                    })
+                    .on('exit', function(code, signal) {
+                      if (code !== 0 || signal) {
+                        cb(
+                          new Error(flvtool + ' ' +
+                            (signal ? 'received signal ' + signal
+                                    : 'exited with code ' + code)) +
+                            ' when running on ' + target
+                        );
+                      } else {
+                        cb();
+                      }
+                    });
+                },
+                function(err) {
+                  if (err) {
+                    emitEnd(err);
+                  } else {
+                    emitEnd(null, stdoutRing.get(), stderrRing.get());
+                  }
+                }
+              );
+            });
+          } else {
+            emitEnd(null, stdoutRing.get(), stderrRing.get());
+          }
         }
-      );
+      }
     });
 
+    // Read metadata as soon as 'progress' listeners are added
+    if (this.listeners('progress').length > 0) {
+      // Read metadata in parallel
+      runFfprobe(this, abort.signal);
+    } else {
+      // Read metadata as soon as the first 'progress' listener is added
+      this.once('newListener', function(event) {
+        if (event === 'progress') {
+          runFfprobe(this, abort.signal);
+        }
+      });
+    }
+
     return this;
   };
 
 
+  /**
+   * Result of a command run through {@link FfmpegCommand#runAsync}
+   *
+   * @typedef {Object} FfmpegCommand~runResult
+   * @property {String|null} stdout ffmpeg stdout, unless outputting to a stream
+   * @property {String|null} stderr ffmpeg stderr
+   * @property {String[]|null} filenames generated filenames when taking screenshots
+   */
+
+  /**
+   * Run ffmpeg command and return a promise
+   *
+   * The promise resolves when the 'end' event is emitted, and rejects with the
+   * error passed to the 'error' event.  All other events (eg. 'progress') are
+   * still emitted as usual.
+   *
+   * @example
+   * var result = await ffmpeg('/path/to/file.avi')
+   *   .on('progress', function(progress) { console.log(progress.percent); })
+   *   .output('/path/to/output.mp4')
+   *   .runAsync();
+   *
+   * @method FfmpegCommand#runAsync
+   * @category Processing
+   * @aliases execAsync,executeAsync
+   *
+   * @param {Object} [options] run options, see {@link FfmpegCommand#run}
+   * @return {Promise<FfmpegCommand~runResult>}
+   */
+  proto.execAsync =
+  proto.executeAsync =
+  proto.runAsync = function(options) {
+    try {
+      this.run(options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    this._awaitable.consumed = true;
+    return this._awaitable.promise;
+  };
+
+
+  /**
+   * Build the ffmpeg argument list without running ffmpeg
+   *
+   * Runs the same preparation steps as {@link FfmpegCommand#run} (capability checks,
+   * '-strict experimental' insertion...), so that the returned arguments are the
+   * ones ffmpeg would be spawned with.  Options only added when actually running
+   * ffmpeg (eg. progress reporting or niceness) are not included.
+   *
+   * Two-pass encoding (see {@link FfmpegCommand#twoPass}) runs ffmpeg twice with
+   * different arguments, commands using it are rejected with an FfmpegError.
+   *
+   * @method FfmpegCommand#toArgs
+   * @category Processing
+   *
+   * @param {Function} [callback] callback with signature (err, args)
+   * @return {Promise<String[]>} ffmpeg argument list
+   */
+  proto.toArgs = function(callback) {
+    var self = this;
+
+    var twoPass = this._outputs.some(function(output) {
+      return output.flags.twoPass && output.video.get().indexOf('-b:v') !== -1;
+    });
+
+    var promise = new Promise(function(resolve, reject) {
+      if (twoPass) {
+        return reject(new errors.FfmpegError('Two-pass encoding cannot be described by a single argument list'));
+      }
+
+      self._prepare(function(err, args) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(args);
+        }
+      });
+    });
+
+    if (callback) {
+      // Call outside of the promise chain so that callback errors are not swallowed
+      promise.then(function(args) {
+        process.nextTick(callback, null, args);
+      }, function(err) {
+        process.nextTick(callback, err);
+      });
+    }
+
+    return promise;
+  };
+
+
+  /**
+   * Build the ffmpeg command line without running ffmpeg
+   *
+   * Same as {@link FfmpegCommand#toArgs}, but returns the full command line
+   * (including the ffmpeg path) quoted for the requested shell.
+   *
+   * @method FfmpegCommand#toCommandLine
+   * @category Processing
+   *
+   * @param {Object} [options] options
+   * @param {String} [options.shell] shell to quote arguments for, either 'posix' or 'cmd'
+   *   (defaults to 'cmd' on Windows and 'posix' elsewhere)
+   * @param {Function} [callback] callback with signature (err, commandLine)
+   * @return {Promise<String>} ffmpeg command line
+   */
+  proto.toCommandLine = function(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    var self = this;
+    var shell = (options && options.shell) || (utils.isWindows ? 'cmd' : 'posix');
+
+    var promise;
+    if (shell !== 'posix' && shell !== 'cmd') {
+      promise = Promise.reject(new Error('Invalid shell: ' + shell));
+    } else {
+      promise = this.toArgs().then(function(args) {
+        return new Promise(function(resolve, reject) {
+          self._getFfmpegPath(function(err, ffmpegPath) {
+            if (err) {
+              return reject(err);
+            }
+
+            resolve([ffmpegPath || 'ffmpeg'].concat(args).map(function(arg) {
+              return utils.quoteArgument(arg, shell);
+            }).join(' '));
+          });
+        });
+      });
+    }
+
+    if (callback) {
+      // Call outside of the promise chain so that callback errors are not swallowed
+      promise.then(function(commandLine) {
+        process.nextTick(callback, null, commandLine);
+      }, function(err) {
+        process.nextTick(callback, err);
+      });
+    }
+
+    return promise;
+  };
+
+
   /**
    * Renice current and/or future ffmpeg processes
    *
@@ -641,6 +1621,158 @@ module.exports = function(proto) {
   };
 
 
+  /**
+   * Pause current ffmpeg process, if any
+   *
+   * Suspends ffmpeg by sending it SIGSTOP.  The processing and inactivity timeouts (if any)
+   * are suspended as well, and no progress is reported until processing is resumed with
+   * {@link FfmpegCommand#resume}.
+   *
+   * Ignored on Windows platforms.
+   *
+   * @method FfmpegCommand#pause
+   * @category Processing
+   *
+   * @return FfmpegCommand
+   */
+  proto.pause = function() {
+    if (this._firstPass) {
+      this._firstPass.command.pause();
+    } else if (utils.isWindows) {
+      this.logger.warn('Pausing ffmpeg is not supported on Windows');
+    } else if (!this.ffmpegProc) {
+      this.logger.warn('No running ffmpeg process, cannot pause it');
+    } else if (!this._paused) {
+      this._paused = { since: Date.now() };
+
+      if (this._timeoutHandler) {
+        clearTimeout(this.processTimer);
+        this._paused.timeoutRemaining = Math.max(0, this._timeoutDeadline - Date.now());
+      }
+
+      clearTimeout(this._inactivityTimer);
+
+      this.ffmpegProc.kill('SIGSTOP');
+      this.emit('pause');
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Resume current ffmpeg process after it has been paused
+   *
+   * Ignored on Windows platforms.
+   *
+   * @method FfmpegCommand#resume
+   * @category Processing
+   *
+   * @return FfmpegCommand
+   */
+  proto.resume = function() {
+    if (this._firstPass) {
+      this._firstPass.command.resume();
+    } else if (utils.isWindows) {
+      this.logger.warn('Resuming ffmpeg is not supported on Windows');
+    } else if (!this.ffmpegProc) {
+      this.logger.warn('No running ffmpeg process, cannot resume it');
+    } else if (this._paused) {
+      var paused = this._paused;
+      delete this._paused;
+
+      this._pausedTime += Date.now() - paused.since;
+
+      if (this._timeoutHandler) {
+        this._timeoutDeadline = Date.now() + paused.timeoutRemaining;
+        this.processTimer = setTimeout(this._timeoutHandler, paused.timeoutRemaining);
+      }
+
+      if (this._inactivityHandler) {
+        this._inactivityTimer = setTimeout(this._inactivityHandler, this.options.inactivityTimeout * 1000);
+      }
+
+      this.ffmpegProc.kill('SIGCONT');
+      this.emit('resume');
+    }
+
+    return this;
+  };
+
+
+  /**
+   * Stop current ffmpeg process gracefully, if any
+   *
+   * Asks ffmpeg to stop processing and finalize its outputs (eg. write MP4 trailers), by
+   * sending 'q' on its standard input, or SIGINT when its standard input is used by an
+   * input stream.  The 'end' event is then emitted as usual, with whatever has been
+   * processed so far.  When stopping during the first pass of two-pass encoding, the
+   * final pass is not run and two-pass outputs are not written.
+   *
+   * If ffmpeg is still running after `options.timeout` seconds, it is killed with SIGKILL
+   * and the 'error' event is emitted instead.
+   *
+   * @method FfmpegCommand#stop
+   * @category Processing
+   *
+   * @param {Object} [options] stop options
+   * @param {Number} [options.timeout=10] delay in seconds before killing ffmpeg
+   * @return FfmpegCommand
+   */
+  proto.stop = function(options) {
+    options = options || {};
+
+    if (this._firstPass) {
+      // Stop the first pass of two-pass encoding, the final pass is then skipped
+      this._firstPass.stopped = true;
+      this._firstPass.command.stop(options);
+      return this;
+    }
+
+    if (!this.ffmpegProc) {
+      this.logger.warn('No running ffmpeg process, cannot stop it');
+      return this;
+    }
+
+    if (this._stopping) {
+      // Already stopping
+      return this;
+    }
+
+    if (this._paused) {
+      // ffmpeg would not handle the stop request while suspended
+      this.resume();
+    }
+
+    var self = this;
+    var ffmpegProc = this.ffmpegProc;
+    var timeout = 'timeout' in options ? options.timeout : 10;
+
+    var stdinPiped = this._inputs.some(function(input) {
+      return input.isStream;
+    });
+
+    this._stopping = {
+      killed: false,
+      timer: setTimeout(function() {
+        self.logger.warn('ffmpeg did not stop after ' + timeout + 's, killing it');
+        self._stopping.killed = true;
+        ffmpegProc.kill('SIGKILL');
+      }, timeout * 1000)
+    };
+
+    if (stdinPiped) {
+      ffmpegProc.kill('SIGINT');
+    } else {
+      // ffmpeg may have closed its standard input already, in which case it will be killed
+      ffmpegProc.stdin.on('error', function() {});
+      ffmpegProc.stdin.write('q');
+    }
+
+    return this;
+  };
+
+
   /**
    * Kill current ffmpeg process, if any
    *
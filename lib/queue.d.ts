@@ -0,0 +1,145 @@
+/**
+ * Create a queue running ffmpeg commands with concurrency limits
+ *
+ * Commands are started by order of priority, and in the order they were added for
+ * jobs with the same priority.  At most `options.concurrency` commands run at the same
+ * time; jobs may also be assigned a resource class (eg. 'gpu'), in which case the number
+ * of running jobs of that class is limited by `options.resourceClasses`.
+ *
+ * When `options.niceness` is set, commands are reniced according to their priority
+ * before being started.
+ *
+ * @example
+ *   var queue = new FfmpegQueue({ concurrency: 4, resourceClasses: { gpu: 1 } });
+ *
+ *   queue.add(ffmpeg('/path/to/input.avi').output('/path/to/output.mp4'), { priority: 'high' });
+ *   queue.add(ffmpeg('/path/to/input.avi').output('/path/to/output.webm'), { resourceClass: 'gpu' });
+ *
+ *   queue.on('idle', function() {
+ *     console.log('All jobs finished');
+ *   });
+ *
+ * @constructor
+ * @param {Object} [options] queue options
+ * @param {Number} [options.concurrency=<number of CPUs>] maximum number of commands running at the same time
+ * @param {Object} [options.resourceClasses={}] maximum number of running commands by resource class name
+ * @param {Object} [options.niceness] niceness applied to commands by priority (eg. `{ low: 10 }`),
+ *   commands keep their own niceness when not set or when their priority is missing from this object
+ */
+export class FfmpegQueue {
+    constructor(options: any);
+    concurrency: any;
+    resourceClasses: any;
+    niceness: any;
+    _queued: any[];
+    _running: any[];
+    _idle: boolean;
+    /**
+     * Number of queued jobs
+     *
+     * @type {Number}
+     */
+    get size(): number;
+    /**
+     * Number of running jobs
+     *
+     * @type {Number}
+     */
+    get running(): number;
+    /**
+     * Add a command to the queue
+     *
+     * The command must have its outputs set, unless a custom `options.run` function is
+     * given (eg. to generate screenshots).  Events emitted by the command are re-emitted
+     * by the queue with the job as their first argument, except for 'error' events which
+     * receive the job as their second argument.  'error' events are only re-emitted when
+     * the queue has 'error' listeners; the error is available as the job `error` property
+     * in any case.
+     *
+     * @param {FfmpegCommand} command command to queue
+     * @param {Object} [options] job options
+     * @param {String} [options.priority='normal'] job priority, one of 'high', 'normal' or 'low'
+     * @param {String} [options.resourceClass] resource class the job belongs to
+     * @param {Function} [options.run] function starting the command, called with the command as
+     *   its only argument (defaults to calling its `run()` method)
+     * @return {FfmpegJob} queued job
+     */
+    add(command: FfmpegCommand, options?: {
+        priority?: string | undefined;
+        resourceClass?: string | undefined;
+        run?: Function | undefined;
+    } | undefined): FfmpegJob;
+    /**
+     * Remove a queued job
+     *
+     * @param {FfmpegJob|FfmpegCommand} job job or command to remove
+     * @return {Boolean} whether the job has been cancelled
+     */
+    cancel(job: FfmpegJob | FfmpegCommand): boolean;
+    /**
+     * Remove all queued jobs
+     *
+     * Running jobs are left untouched.
+     *
+     * @return {FfmpegJob[]} cancelled jobs
+     */
+    clear(): FfmpegJob[];
+    /**
+     * Start as many queued jobs as concurrency limits allow
+     *
+     * @private
+     */
+    private _next;
+    /**
+     * Check whether the running job limit of a resource class is reached
+     *
+     * @param {String|null} resourceClass resource class name
+     * @return {Boolean}
+     * @private
+     */
+    private _classFull;
+    /**
+     * Start a job and re-emit its command events
+     *
+     * @param {FfmpegJob} job job to start
+     * @private
+     */
+    private _start;
+    /**
+     * Emit 'idle' when no job is queued nor running
+     *
+     * @private
+     */
+    private _checkIdle;
+}
+/**
+ * Queued command
+ *
+ * Jobs are created by {@link FfmpegQueue#add} and should not be instanciated directly.
+ *
+ * @property {FfmpegCommand} command queued command
+ * @property {String} priority job priority, one of 'high', 'normal' or 'low'
+ * @property {String|null} resourceClass resource class the job belongs to
+ * @property {String} state job state, one of 'queued', 'running', 'ended', 'failed' or 'cancelled'
+ * @property {Error|null} error error the job failed with, if any
+ */
+export class FfmpegJob {
+    constructor(queue: any, command: any, options: any);
+    queue: any;
+    command: any;
+    priority: any;
+    resourceClass: any;
+    state: string;
+    error: any;
+    _run: any;
+    /**
+     * Remove the job from its queue
+     *
+     * Only queued jobs can be cancelled, running jobs are left untouched.
+     *
+     * @return {Boolean} whether the job has been cancelled
+     */
+    cancel(): boolean;
+}
+import type { FfmpegCommand } from './fluent-ffmpeg';
+//# sourceMappingURL=queue.d.ts.map
\ No newline at end of file
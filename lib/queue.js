@@ -0,0 +1,346 @@
+/*jshint node:true*/
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var os = require('os');
+
+/** @import { FfmpegCommand } from './fluent-ffmpeg' */
+
+/*
+ *! Job queue
+ */
+
+var priorities = {
+  high: 2,
+  normal: 1,
+  low: 0
+};
+
+
+/**
+ * Queued command
+ *
+ * Jobs are created by {@link FfmpegQueue#add} and should not be instanciated directly.
+ *
+ * @property {FfmpegCommand} command queued command
+ * @property {String} priority job priority, one of 'high', 'normal' or 'low'
+ * @property {String|null} resourceClass resource class the job belongs to
+ * @property {String} state job state, one of 'queued', 'running', 'ended', 'failed' or 'cancelled'
+ * @property {Error|null} error error the job failed with, if any
+ */
+class FfmpegJob {
+  constructor(queue, command, options) {
+    this.queue = queue;
+    this.command = command;
+    this.priority = options.priority || 'normal';
+    this.resourceClass = options.resourceClass || null;
+    this.state = 'queued';
+    this.error = null;
+
+    this._run = options.run || function(command) { command.run(); };
+  }
+
+  /**
+   * Remove the job from its queue
+   *
+   * Only queued jobs can be cancelled, running jobs are left untouched.
+   *
+   * @return {Boolean} whether the job has been cancelled
+   */
+  cancel() {
+    return this.queue.cancel(this);
+  }
+}
+
+
+/**
+ * Create a queue running ffmpeg commands with concurrency limits
+ *
+ * Commands are started by order of priority, and in the order they were added for
+ * jobs with the same priority.  At most `options.concurrency` commands run at the same
+ * time; jobs may also be assigned a resource class (eg. 'gpu'), in which case the number
+ * of running jobs of that class is limited by `options.resourceClasses`.
+ *
+ * When `options.niceness` is set, commands are reniced according to their priority
+ * before being started.
+ *
+ * @example
+ *   var queue = new FfmpegQueue({ concurrency: 4, resourceClasses: { gpu: 1 } });
+ *
+ *   queue.add(ffmpeg('/path/to/input.avi').output('/path/to/output.mp4'), { priority: 'high' });
+ *   queue.add(ffmpeg('/path/to/input.avi').output('/path/to/output.webm'), { resourceClass: 'gpu' });
+ *
+ *   queue.on('idle', function() {
+ *     console.log('All jobs finished');
+ *   });
+ *
+ * @constructor
+ * @param {Object} [options] queue options
+ * @param {Number} [options.concurrency=<number of CPUs>] maximum number of commands running at the same time
+ * @param {Object} [options.resourceClasses={}] maximum number of running commands by resource class name
+ * @param {Object} [options.niceness] niceness applied to commands by priority (eg. `{ low: 10 }`),
+ *   commands keep their own niceness when not set or when their priority is missing from this object
+ */
+class FfmpegQueue extends EventEmitter {
+  constructor(options) {
+    super();
+    options = options || {};
+
+    this.concurrency = options.concurrency || os.cpus().length || 1;
+    this.resourceClasses = options.resourceClasses || {};
+    this.niceness = options.niceness || {};
+
+    this._queued = [];
+    this._running = [];
+    this._idle = true;
+  }
+
+  /**
+   * Number of queued jobs
+   *
+   * @type {Number}
+   */
+  get size() {
+    return this._queued.length;
+  }
+
+  /**
+   * Number of running jobs
+   *
+   * @type {Number}
+   */
+  get running() {
+    return this._running.length;
+  }
+
+  /**
+   * Add a command to the queue
+   *
+   * The command must have its outputs set, unless a custom `options.run` function is
+   * given (eg. to generate screenshots).  Events emitted by the command are re-emitted
+   * by the queue with the job as their first argument, except for 'error' events which
+   * receive the job as their second argument.  'error' events are only re-emitted when
+   * the queue has 'error' listeners; the error is available as the job `error` property
+   * in any case.
+   *
+   * @param {FfmpegCommand} command command to queue
+   * @param {Object} [options] job options
+   * @param {String} [options.priority='normal'] job priority, one of 'high', 'normal' or 'low'
+   * @param {String} [options.resourceClass] resource class the job belongs to
+   * @param {Function} [options.run] function starting the command, called with the command as
+   *   its only argument (defaults to calling its `run()` method)
+   * @return {FfmpegJob} queued job
+   */
+  add(command, options) {
+    options = options || {};
+
+    if (!command || typeof command.on !== 'function') {
+      throw new Error('Invalid command');
+    }
+
+    if (options.priority && !(options.priority in priorities)) {
+      throw new Error('Invalid priority: ' + options.priority);
+    }
+
+    var job = new FfmpegJob(this, command, options);
+
+    // Keep jobs sorted by priority, in insertion order for identical priorities
+    var index = this._queued.findIndex(function(queued) {
+      return priorities[queued.priority] < priorities[job.priority];
+    });
+
+    if (index === -1) {
+      this._queued.push(job);
+    } else {
+      this._queued.splice(index, 0, job);
+    }
+
+    this._idle = false;
+
+    this.emit('queue', job);
+
+    var self = this;
+    process.nextTick(function() {
+      self._next();
+    });
+
+    return job;
+  }
+
+  /**
+   * Remove a queued job
+   *
+   * @param {FfmpegJob|FfmpegCommand} job job or command to remove
+   * @return {Boolean} whether the job has been cancelled
+   */
+  cancel(job) {
+    var index = this._queued.findIndex(function(queued) {
+      return queued === job || queued.command === job;
+    });
+
+    if (index === -1) {
+      return false;
+    }
+
+    job = this._queued.splice(index, 1)[0];
+    job.state = 'cancelled';
+
+    this.emit('cancel', job);
+    this._checkIdle();
+
+    return true;
+  }
+
+  /**
+   * Remove all queued jobs
+   *
+   * Running jobs are left untouched.
+   *
+   * @return {FfmpegJob[]} cancelled jobs
+   */
+  clear() {
+    var jobs = this._queued.slice();
+
+    jobs.forEach(function(job) {
+      this.cancel(job);
+    }, this);
+
+    return jobs;
+  }
+
+  /**
+   * Start as many queued jobs as concurrency limits allow
+   *
+   * @private
+   */
+  _next() {
+    var hadQueued = this._queued.length > 0;
+    var index = 0;
+
+    while (this._running.length < this.concurrency && index < this._queued.length) {
+      var job = this._queued[index];
+
+      if (this._classFull(job.resourceClass)) {
+        // Try next jobs, they may belong to another class
+        index++;
+      } else {
+        this._queued.splice(index, 1);
+        this._start(job);
+      }
+    }
+
+    if (hadQueued && !this._queued.length) {
+      this.emit('drain');
+    }
+
+    this._checkIdle();
+  }
+
+  /**
+   * Check whether the running job limit of a resource class is reached
+   *
+   * @param {String|null} resourceClass resource class name
+   * @return {Boolean}
+   * @private
+   */
+  _classFull(resourceClass) {
+    if (!resourceClass || !(resourceClass in this.resourceClasses)) {
+      return false;
+    }
+
+    var running = this._running.filter(function(job) {
+      return job.resourceClass === resourceClass;
+    });
+
+    return running.length >= this.resourceClasses[resourceClass];
+  }
+
+  /**
+   * Start a job and re-emit its command events
+   *
+   * @param {FfmpegJob} job job to start
+   * @private
+   */
+  _start(job) {
+    var self = this;
+    var command = job.command;
+
+    job.state = 'running';
+    this._running.push(job);
+
+    function onStart(commandLine) {
+      self.emit('start', job, commandLine);
+    }
+
+    function onProgress(progress) {
+      self.emit('progress', job, progress);
+    }
+
+    function onEnd() {
+      finish('ended', null);
+      self.emit.apply(self, ['end', job].concat(Array.prototype.slice.call(arguments)));
+      self._next();
+    }
+
+    function onError(err) {
+      finish('failed', err);
+
+      // Emitting 'error' without listeners would throw and stall the queue
+      if (self.listenerCount('error')) {
+        self.emit.apply(self, ['error', err, job].concat(Array.prototype.slice.call(arguments, 1)));
+      }
+
+      self._next();
+    }
+
+    function finish(state, err) {
+      command.removeListener('start', onStart);
+      command.removeListener('progress', onProgress);
+      command.removeListener('end', onEnd);
+      command.removeListener('error', onError);
+
+      job.state = state;
+      job.error = err;
+      self._running.splice(self._running.indexOf(job), 1);
+    }
+
+    command.on('start', onStart);
+    command.on('end', onEnd);
+    command.on('error', onError);
+
+    // Only listen to progress when needed, as it makes commands read input metadata
+    if (this.listenerCount('progress')) {
+      command.on('progress', onProgress);
+    }
+
+    if (job.priority in this.niceness && typeof command.renice === 'function') {
+      command.renice(this.niceness[job.priority]);
+    }
+
+    try {
+      job._run(command);
+    } catch(err) {
+      process.nextTick(function() {
+        onError(err);
+      });
+    }
+  }
+
+  /**
+   * Emit 'idle' when no job is queued nor running
+   *
+   * @private
+   */
+  _checkIdle() {
+    if (!this._idle && !this._queued.length && !this._running.length) {
+      this._idle = true;
+      this.emit('idle');
+    }
+  }
+}
+
+
+module.exports = {
+  FfmpegQueue: FfmpegQueue,
+  FfmpegJob: FfmpegJob
+};
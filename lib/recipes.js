@@ -2,20 +2,107 @@
 'use strict';
 
 var fs = require('fs');
+var os = require('os');
 var path = require('path');
 var PassThrough = require('stream').PassThrough;
 var async = require('async');
 var utils = require('./utils');
+var errors = require('./errors');
+var FfmpegQueue = require('./queue').FfmpegQueue;
 
 
 /*
  * Useful recipes for commands
  */
 
+/**
+ * Write a concat demuxer list file
+ *
+ * @param {String} listFile list file path
+ * @param {String[]} sources files to concatenate
+ * @param {Function} callback callback called with an error, if any
+ * @private
+ */
+function writeConcatList(listFile, sources, callback) {
+  var list = sources.map(function(source) {
+    return 'file \'' + path.resolve(source).replace(/'/g, '\'\\\'\'') + '\'\n';
+  }).join('');
+
+  fs.writeFile(listFile, list, callback);
+}
+
+
+/**
+ * Concatenate command inputs losslessly using the concat demuxer
+ *
+ * Inputs are written to a list file in a temporary directory, removed once
+ * processing ends.
+ *
+ * @param {FfmpegCommand} command
+ * @param {String|Writable} target output file or writable stream
+ * @param {Object} options output options
+ * @private
+ */
+function concatDemuxer(command, target, options) {
+  var streamInput = command._inputs.some(function(input) {
+    return input.isStream;
+  });
+
+  if (streamInput) {
+    return process.nextTick(function() {
+      command.emit('error', new Error('The concat demuxer cannot be used with input streams'));
+    });
+  }
+
+  var sources = command._inputs.map(function(input) {
+    return input.source;
+  });
+
+  fs.mkdtemp(path.join(os.tmpdir(), 'fluent-ffmpeg-'), function(err, dir) {
+    if (err) {
+      return command.emit('error', err);
+    }
+
+    function cleanup() {
+      command.removeListener('end', cleanup);
+      command.removeListener('error', cleanup);
+      fs.rm(dir, { recursive: true, force: true }, function() {});
+    }
+
+    var listFile = path.join(dir, 'concat.txt');
+
+    writeConcatList(listFile, sources, function(err) {
+      if (err) {
+        cleanup();
+        return command.emit('error', err);
+      }
+
+      command.on('end', cleanup);
+      command.on('error', cleanup);
+
+      command._inputs = [];
+      command
+        .input(listFile)
+        .inputFormat('concat')
+        .inputOptions('-safe', '0')
+        .output(target, options)
+        .outputOptions('-c', 'copy')
+        .run();
+    });
+  });
+}
+
+
 module.exports = function recipes(proto) {
   /**
    * Execute ffmpeg command and save output to a file
    *
+   * The returned command can be awaited until processing ends, see
+   * {@link FfmpegCommand#runAsync} for the resolved value.
+   *
+   * @example
+   * await ffmpeg('/path/to/file.avi').save('/path/to/output.mp4');
+   *
    * @method FfmpegCommand#save
    * @category Processing
    * @aliases saveToFile
@@ -70,7 +157,8 @@ module.exports = function recipes(proto) {
    * Generate images from a video
    *
    * Note: this method makes the command emit a 'filenames' event with an array of
-   * the generated image filenames.
+   * the generated image filenames.  When awaiting the returned command, those
+   * filenames are available as the `filenames` property of the resolved value.
    *
    * @method FfmpegCommand#screenshots
    * @category Processing
@@ -151,6 +239,8 @@ module.exports = function recipes(proto) {
       }
     }
 
+    this._makeAwaitable();
+
     // Metadata helper
     var metadata;
     function getMetadata(cb) {
@@ -408,12 +498,17 @@ module.exports = function recipes(proto) {
   /**
    * Merge (concatenate) inputs to a single file
    *
+   * Inputs are decoded and concatenated with the concat filter, unless the `demuxer`
+   * option is set.  In that case inputs are concatenated losslessly with the concat
+   * demuxer, which requires file inputs using the same codecs.
+   *
    * @method FfmpegCommand#concat
    * @category Processing
    * @aliases concatenate,mergeToFile
    *
    * @param {String|Writable} target output file or writable stream
-   * @param {Object} [options] pipe options (only used when outputting to a writable stream)
+   * @param {Object} [options] output options, see {@link FfmpegCommand#output}
+   * @param {Boolean} [options.demuxer=false] use the concat demuxer and stream copy
    * @return FfmpegCommand
    */
   proto.mergeToFile =
@@ -425,6 +520,13 @@ module.exports = function recipes(proto) {
     })[0];
 
     var self = this;
+    this._makeAwaitable();
+
+    if (options && options.demuxer) {
+      concatDemuxer(this, target, options);
+      return this;
+    }
+
     this.ffprobe(this._inputs.indexOf(fileInput), function(err, data) {
       if (err) {
         return self.emit('error', err);
@@ -453,4 +555,285 @@ module.exports = function recipes(proto) {
 
     return this;
   };
+
+
+  /**
+   * Encode the input in concurrent chunks
+   *
+   * The input is split at keyframes in `options.chunks` segments (or segments lasting
+   * about `options.segmentDuration` seconds), which are encoded concurrently with the
+   * current output settings and then joined losslessly with the concat demuxer.
+   *
+   * Audio is not split, as encoding it by segment would cause gaps or clicks at segment
+   * boundaries: it is encoded once over the whole input, concurrently with the video
+   * segments, then muxed with the joined video.  Audio encoding is thus not sped up,
+   * and the output container must support audio-only files.
+   *
+   * The command must have a single file input, its current output must be a file and
+   * it must not use complex filters, as they cannot be applied by segment.
+   * 'progress' events report the aggregated progress of all segments; 'start' and
+   * 'stderr' events are not emitted.
+   *
+   * @example
+   *   ffmpeg('/path/to/input.avi')
+   *     .videoCodec('libx264')
+   *     .output('/path/to/output.mp4')
+   *     .on('end', function() { console.log('done'); })
+   *     .parallelEncode({ chunks: 4 });
+   *
+   * @method FfmpegCommand#parallelEncode
+   * @category Processing
+   *
+   * @param {Object} options parallel encoding options
+   * @param {Number} [options.chunks] number of segments to split the input in
+   * @param {Number} [options.segmentDuration] ideal segment duration in seconds
+   * @param {Number} [options.concurrency=<number of CPUs>] maximum number of segments encoded at the same time
+   * @return FfmpegCommand
+   */
+  proto.parallelEncode = function(options) {
+    options = options || {};
+
+    var self = this;
+    var output = this._currentOutput;
+    var dir = null;
+
+    this._makeAwaitable();
+
+    function fail(err) {
+      if (dir) {
+        fs.rm(dir, { recursive: true, force: true }, function() {});
+      }
+
+      self.emit('error', err);
+    }
+
+    var error = null;
+
+    if (!(options.chunks > 0) && !(options.segmentDuration > 0)) {
+      error = new errors.FfmpegError('Parallel encoding requires a chunks or segmentDuration option');
+    } else if (this._inputs.length !== 1) {
+      error = new errors.FfmpegError('Parallel encoding requires a single file input');
+    } else if (this._inputs[0].isStream) {
+      error = new errors.FfmpegInputStreamError('Parallel encoding requires a single file input', { inputIndex: 0 });
+    } else if (output && typeof output.target !== 'string') {
+      error = new errors.FfmpegOutputStreamError('Parallel encoding requires a file output', {
+        outputIndex: this._outputs.indexOf(output)
+      });
+    } else if (!output || !output.isFile) {
+      error = new errors.FfmpegError('Parallel encoding requires a file output');
+    } else if (this._complexFilters.get().length) {
+      error = new errors.FfmpegError('Parallel encoding cannot be used with complex filters');
+    }
+
+    if (error) {
+      process.nextTick(function() {
+        fail(error);
+      });
+
+      return this;
+    }
+
+    var hasAudio = false;
+
+    async.waterfall([
+      // Find input streams
+      function(cb) {
+        self.ffprobe(0, function(err, data) {
+          if (!err) {
+            hasAudio = data.streams.some(function(stream) {
+              return stream.codec_type === 'audio';
+            });
+          }
+
+          cb(err);
+        });
+      },
+
+      // Find input keyframes
+      function(cb) {
+        self.ffprobe(0, [
+          '-select_streams', 'v:0',
+          '-show_packets', '-show_entries', 'packet=pts_time,flags'
+        ], cb);
+      },
+
+      // Split input and create segment directory
+      function(data, cb) {
+        var duration = Number(data.format.duration);
+        var startTime = Number(data.format.start_time) || 0;
+
+        if (!(duration > 0)) {
+          return cb(new errors.FfmpegError('Could not find input duration'));
+        }
+
+        var keyframes = (data.packets || [])
+          .filter(function(packet) {
+            return String(packet.flags).indexOf('K') !== -1;
+          })
+          .map(function(packet) {
+            return Number(packet.pts_time) - startTime;
+          })
+          .filter(function(time) {
+            return !isNaN(time);
+          });
+
+        var segments = utils.keyframeSegments(keyframes, duration, options);
+
+        fs.mkdtemp(path.join(os.tmpdir(), 'fluent-ffmpeg-'), function(err, tmpdir) {
+          dir = tmpdir;
+          cb(err, segments, duration);
+        });
+      },
+
+      // Encode video segments and audio
+      function(segments, duration, cb) {
+        var extension = path.extname(output.target);
+        var files = [];
+
+        var commands = segments.map(function(segment, index) {
+          var file = path.join(dir, 'segment' + index + extension);
+          var command = self.clone();
+
+          files.push(file);
+
+          if (segment.start > 0) {
+            command._inputs[0].options('-ss', segment.start);
+          }
+
+          command._currentOutput = utils.copyOutput(output, file);
+          command._outputs = [command._currentOutput];
+
+          if (segment.duration !== null) {
+            command.duration(segment.duration);
+          }
+
+          if (hasAudio) {
+            command.noAudio();
+          }
+
+          return command;
+        });
+
+        var audioFile = null;
+
+        if (hasAudio) {
+          var audio = self.clone();
+          audioFile = path.join(dir, 'audio' + extension);
+
+          audio._currentOutput = utils.copyOutput(output, audioFile);
+          audio._outputs = [audio._currentOutput];
+
+          // Size settings would add video filters
+          audio._currentOutput.sizeFilters.clear();
+          delete audio._currentOutput.sizeData;
+          audio._complexFilters.clear();
+          audio.noVideo();
+
+          // Keep audio last, its progress is not included in segment progress
+          commands.push(audio);
+        }
+
+        var queue = new FfmpegQueue({ concurrency: options.concurrency });
+        var segmentError = null;
+
+        if (self.listeners('progress').length) {
+          var progresses = segments.map(function() { return {}; });
+
+          queue.on('progress', function(job, progress) {
+            var index = commands.indexOf(job.command);
+            if (index >= segments.length) {
+              return;
+            }
+
+            progresses[index] = progress;
+
+            var total = progresses.reduce(function(total, progress, index) {
+              var weight = segments[index].duration === null ?
+                duration - segments[index].start : segments[index].duration;
+
+              total.frames += progress.frames || 0;
+              total.targetSize += progress.targetSize || 0;
+              total.percent += (progress.percent || 0) * weight / duration;
+
+              return total;
+            }, { frames: 0, targetSize: 0, percent: 0 });
+
+            self.emit('progress', total);
+          });
+        }
+
+        queue.on('error', function(err) {
+          if (!segmentError) {
+            segmentError = err;
+
+            // Stop remaining segments
+            queue.clear();
+            commands.forEach(function(command) {
+              if (command.ffmpegProc) {
+                command.kill();
+              }
+            });
+          }
+        });
+
+        queue.on('idle', function() {
+          cb(segmentError, files, audioFile);
+        });
+
+        commands.forEach(function(command) {
+          queue.add(command);
+        });
+      },
+
+      // Write segment list
+      function(files, audioFile, cb) {
+        var listFile = path.join(dir, 'concat.txt');
+
+        writeConcatList(listFile, files, function(err) {
+          cb(err, listFile, audioFile);
+        });
+      }
+    ], function(err, listFile, audioFile) {
+      if (err) {
+        return fail(err);
+      }
+
+      // Join video segments and mux audio
+      var join = self.clone();
+
+      // Segments are already filtered, and joined with stream copy
+      join._complexFilters.clear();
+      join._inputs = [];
+      join
+        .input(listFile)
+        .inputFormat('concat')
+        .inputOptions('-safe', '0');
+
+      if (audioFile) {
+        join
+          .input(audioFile)
+          .outputOptions('-map', '0:v', '-map', '1:a');
+      }
+
+      join
+        .outputOptions('-c', 'copy')
+        .output(output.target);
+
+      if (output.flags.atomic) {
+        join.atomic();
+      }
+
+      join
+        .on('end', function() {
+          fs.rm(dir, { recursive: true, force: true }, function() {});
+          self.emit.apply(self, ['end'].concat(Array.prototype.slice.call(arguments)));
+        })
+        .on('error', function(err) {
+          fail(err);
+        })
+        .run();
+    });
+
+    return this;
+  };
 };
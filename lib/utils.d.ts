@@ -1,6 +1,11 @@
 export var isWindows: any;
 export var streamRegexp: RegExp;
 export declare function copy(source: Object, dest: Object): void;
+export declare function copyOutput(output: Object, target: string): Object;
+export declare function keyframeSegments(keyframes: number[], duration: number, options: {
+    chunks?: number | undefined;
+    segmentDuration?: number | undefined;
+}): Object[];
 export declare function args(): {
     (...args: any[]): void;
     clear(): void;
@@ -10,11 +15,17 @@ export declare function args(): {
     clone(): any;
 };
 export declare function makeFilterStrings(filters: string[] | Object[]): string[];
+export declare function parseFilterGraph(graph: string): any[][];
 export declare function which(name: string, callback: Function): any;
 export declare function timemarkToSeconds(timemark: string): number;
 export declare function extractCodecData(command: FfmpegCommand, stderrLine: string, codecsObject: any): boolean;
 export declare function extractProgress(command: FfmpegCommand, stderrLine: string): void;
+export declare function extractProgressPipe(command: FfmpegCommand, line: string, progressBlock: Object): void;
+export declare function quoteArgument(arg: string | number, shell: string): string;
+export declare function abortError(signal?: AbortSignal | undefined): FfmpegAbortError;
+export declare function anySignal(signals: AbortSignal[]): Object;
 export declare function extractError(stderr: string): string;
+export declare function extractBenchmark(stderr: string): Object | null;
 export declare function linesRing(maxLines: number): {
     callback: (cb: any) => void;
     append: (str: any) => void;
@@ -4,10 +4,15 @@
 var exec = require('child_process').exec;
 var isWindows = require('os').platform().match(/win(32|64)/);
 var which = require('which');
+var errors = require('./errors');
 
 var nlRegexp = /\r\n|\r|\n/g;
 var streamRegexp = /^\[?(.*?)\]?$/;
 var filterEscapeRegexp = /[,]/;
+var safeArgRegexp = /^[A-Za-z0-9_\/.,:=+@-]+$/;
+var cmdMetaRegexp = /([()\][%!^"`<>&|;, *?])/g;
+var concatFilterRegexp = /(^|[\];,])\s*concat(=|[;,\[]|$)/;
+var benchmarkRegexp = /^bench: (.*)$/;
 var whichCache = {};
 
 /**
@@ -41,6 +46,200 @@ function parseProgressLine(line) {
 }
 
 
+/**
+ * Find a time option in an argument list and convert it to seconds
+ *
+ * @param {Function} args argument list
+ * @param {String} name option name
+ * @return {Number|null} option value in seconds, or null when absent
+ * @private
+ */
+function findSeconds(args, name) {
+  var value = args.find(name, 1);
+
+  if (value && value.length) {
+    var seconds = utils.timemarkToSeconds(value[0]);
+    if (!isNaN(seconds)) {
+      return seconds;
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Parse a frame rate, either as a number or as a 'num/den' string
+ *
+ * @param {String|Number} rate frame rate
+ * @return {Number} frame rate, NaN when invalid
+ * @private
+ */
+function parseFrameRate(rate) {
+  var parts = String(rate).split('/');
+  var fps = Number(parts[0]) / (parts.length > 1 ? Number(parts[1]) : 1);
+
+  return fps > 0 && isFinite(fps) ? fps : NaN;
+}
+
+
+/**
+ * Compute the expected output duration of a command
+ *
+ * Uses metadata read from all inputs (when available) and adjusts it using
+ * the command options: input and output seeking, durations, frame counts,
+ * looping, concatenation and -shortest.  When the command has several outputs,
+ * the longest one is used, as ffmpeg reports the progress of the longest one.
+ *
+ * @param {FfmpegCommand} command command
+ * @return {Number|null} duration in seconds, or null when it cannot be determined
+ * @private
+ */
+function outputDuration(command) {
+  var probeData = command._inputsProbeData || [command._ffprobeData];
+
+  // Compute input durations, null meaning unknown
+  var inputDurations = command._inputs.map(function(input, index) {
+    var data = probeData[index];
+    var duration = data && data.format ? Number(data.format.duration) : NaN;
+    var loop = input.options.find('-stream_loop', 1);
+    var imageLoop = input.options.find('-loop', 1);
+
+    if (isNaN(duration)) {
+      duration = null;
+    }
+
+    if (imageLoop && String(imageLoop[0]) === '1') {
+      duration = Infinity;
+    } else if (loop && loop.length && duration !== null) {
+      var count = parseInt(loop[0], 10);
+      duration = count < 0 ? Infinity : duration * (count + 1);
+    }
+
+    var seek = findSeconds(input.options, '-ss');
+    if (seek !== null && duration !== null) {
+      duration = Math.max(0, duration - seek);
+    }
+
+    var limit = findSeconds(input.options, '-t');
+    if (limit !== null) {
+      duration = duration === null ? limit : Math.min(duration, limit);
+    }
+
+    return duration;
+  });
+
+  var unknownInputs = inputDurations.indexOf(null) !== -1;
+
+  var concat = command._complexFilters.get().some(function(arg) {
+    return concatFilterRegexp.test(arg);
+  });
+
+  var outputs = command._outputs.filter(function(output) {
+    return !!output.target;
+  });
+
+  var outputDurations = outputs.map(function(output) {
+    var duration = null;
+
+    if (!unknownInputs && inputDurations.length) {
+      if (concat) {
+        duration = inputDurations.reduce(function(sum, d) { return sum + d; }, 0);
+      } else if (output.options.find('-shortest')) {
+        duration = Math.min.apply(Math, inputDurations);
+      } else {
+        duration = Math.max.apply(Math, inputDurations);
+      }
+    }
+
+    var seek = findSeconds(output.options, '-ss');
+    if (seek !== null && duration !== null) {
+      duration = Math.max(0, duration - seek);
+    }
+
+    var limit = findSeconds(output.options, '-t');
+    if (limit !== null) {
+      duration = duration === null ? limit : Math.min(duration, limit);
+    }
+
+    // Frame count limit, using the output frame rate or the first input video frame rate
+    var frames = output.video.find('-vframes', 1) || output.options.find('-vframes', 1) ||
+      output.options.find('-frames:v', 1);
+
+    if (frames && frames.length) {
+      var rate = output.video.find('-r', 1) || output.options.find('-r', 1);
+      var fps = rate && rate.length ? parseFrameRate(rate[0]) : NaN;
+
+      if (isNaN(fps)) {
+        probeData.some(function(data) {
+          return (data && data.streams || []).some(function(stream) {
+            if (stream.codec_type === 'video') {
+              fps = parseFrameRate(stream.avg_frame_rate);
+              if (isNaN(fps)) {
+                fps = parseFrameRate(stream.r_frame_rate);
+              }
+
+              return true;
+            }
+          });
+        });
+      }
+
+      if (!isNaN(fps)) {
+        var framesDuration = parseInt(frames[0], 10) / fps;
+        duration = duration === null ? framesDuration : Math.min(duration, framesDuration);
+      }
+    }
+
+    return duration;
+  });
+
+  if (!outputDurations.length || outputDurations.indexOf(null) !== -1) {
+    return null;
+  }
+
+  var duration = Math.max.apply(Math, outputDurations);
+  return duration > 0 && isFinite(duration) ? duration : null;
+}
+
+
+/**
+ * Compute progress percentage, elapsed time and ETA and emit 'progress' event
+ *
+ * @param {FfmpegCommand} command event emitter
+ * @param {Object} progress progress report object
+ * @param {String|Number} time current output timemark or time in seconds
+ * @private
+ */
+function emitProgress(command, progress, time) {
+  var seconds = typeof time === 'undefined' ? NaN : utils.timemarkToSeconds(time);
+  var duration = outputDuration(command);
+
+  // calculate percent progress using expected output duration
+  if (duration !== null && !isNaN(seconds)) {
+    progress.percent = Math.min(100, Math.max(0, (seconds / duration) * 100));
+  }
+
+  // elapsed time excludes time spent paused
+  if (command._startTime) {
+    progress.elapsed = Math.max(0, Date.now() - command._startTime - (command._pausedTime || 0)) / 1000;
+
+    var speed = progress.speed > 0 ? progress.speed : seconds / progress.elapsed;
+    if ('percent' in progress && speed > 0 && isFinite(speed)) {
+      progress.eta = Math.max(0, duration - seconds) / speed;
+    }
+  }
+
+  // scale percent when processing is only part of the whole job (eg. a two-pass encoding pass)
+  if ('percent' in progress && command._progressRange) {
+    var range = command._progressRange;
+    progress.percent = range[0] + progress.percent * (range[1] - range[0]) / 100;
+  }
+
+  command.emit('progress', progress);
+}
+
+
 var utils = module.exports = {
   isWindows: isWindows,
   streamRegexp: streamRegexp,
@@ -60,6 +259,83 @@ var utils = module.exports = {
   },
 
 
+  /**
+   * Create an output with the same options, filters and size settings as another one
+   *
+   * @param {Object} output output to copy settings from
+   * @param {String} target new output file path
+   * @return {Object} new output
+   * @private
+   */
+  copyOutput: function(output, target) {
+    var copy = {
+      target: target,
+      isFile: true,
+      flags: {},
+      pipeopts: {}
+    };
+
+    ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'options'].forEach(function(key) {
+      copy[key] = output[key].clone();
+    });
+
+    if (output.sizeData) {
+      copy.sizeData = {};
+      utils.copy(output.sizeData, copy.sizeData);
+    }
+
+    return copy;
+  },
+
+
+  /**
+   * Split a media file into segments starting at keyframes
+   *
+   * Segments start at the first keyframe following each ideal segment boundary, so
+   * that segments are roughly evenly sized.  The last segment has a null duration,
+   * meaning it lasts until the end of the file.
+   *
+   * @param {Number[]} keyframes keyframe timestamps in seconds
+   * @param {Number} duration media duration in seconds
+   * @param {Object} options split options
+   * @param {Number} [options.chunks] number of segments
+   * @param {Number} [options.segmentDuration] ideal segment duration in seconds
+   * @return {Object[]} segments with 'start' and 'duration' keys
+   * @private
+   */
+  keyframeSegments: function(keyframes, duration, options) {
+    var step = options.chunks ? duration / options.chunks : options.segmentDuration;
+    var starts = [0];
+
+    keyframes = keyframes.slice().sort(function(a, b) { return a - b; });
+
+    for (var boundary = step; boundary < duration; boundary += step) {
+      var previous = starts[starts.length - 1];
+
+      var keyframe = keyframes.filter(function(time) {
+        return time >= boundary && time > previous && time < duration;
+      })[0];
+
+      if (typeof keyframe === 'undefined') {
+        break;
+      }
+
+      if (starts.indexOf(keyframe) === -1) {
+        starts.push(keyframe);
+      }
+    }
+
+    return starts.map(function(start, index) {
+      var next = starts[index + 1];
+
+      return {
+        start: start,
+        duration: typeof next === 'undefined' ? null : Number((next - start).toFixed(6))
+      };
+    });
+  },
+
+
   /**
    * Create an argument list
    *
@@ -203,6 +479,83 @@ var utils = module.exports = {
   },
 
 
+  /**
+   * Parse a filter graph string
+   *
+   * Splits the graph into filter chains (separated by ';') made of filters
+   * (separated by ','), honoring quoting, escaping and stream labels.
+   *
+   * @param {String} graph filter graph string
+   * @return {Array[]} filter chains, as arrays of objects with the following keys:
+   *   - 'name': filter name (without instance name)
+   *   - 'inputs': input stream labels
+   *   - 'outputs': output stream labels
+   * @private
+   */
+  parseFilterGraph: function(graph) {
+    var chains = [];
+    var chain = [];
+    var filter = { text: '', inputs: [], outputs: [] };
+    var quoted = false;
+
+    function endFilter() {
+      var text = filter.text.trim();
+
+      if (text || filter.inputs.length || filter.outputs.length) {
+        chain.push({
+          name: text.split('=')[0].split('@')[0].trim(),
+          inputs: filter.inputs,
+          outputs: filter.outputs
+        });
+      }
+
+      filter = { text: '', inputs: [], outputs: [] };
+    }
+
+    function endChain() {
+      endFilter();
+
+      if (chain.length) {
+        chains.push(chain);
+      }
+
+      chain = [];
+    }
+
+    for (var i = 0; i < graph.length; i++) {
+      var c = graph.charAt(i);
+
+      if (c === '\\') {
+        filter.text += c + graph.charAt(++i);
+      } else if (c === '\'') {
+        quoted = !quoted;
+        filter.text += c;
+      } else if (quoted) {
+        filter.text += c;
+      } else if (c === '[') {
+        // Labels before the filter name are inputs, labels after it are outputs
+        var end = graph.indexOf(']', i);
+        if (end === -1) {
+          end = graph.length;
+        }
+
+        var label = graph.substring(i + 1, end);
+        (filter.text.trim() ? filter.outputs : filter.inputs).push(label);
+        i = end;
+      } else if (c === ',') {
+        endFilter();
+      } else if (c === ';') {
+        endChain();
+      } else {
+        filter.text += c;
+      }
+    }
+
+    endChain();
+    return chains;
+  },
+
+
   /**
    * Search for an executable
    *
@@ -336,14 +689,170 @@ var utils = module.exports = {
         timemark: progress.time
       };
 
-      // calculate percent progress using duration
-      if (command._ffprobeData && command._ffprobeData.format && command._ffprobeData.format.duration) {
-        var duration = Number(command._ffprobeData.format.duration);
-        if (!isNaN(duration))
-          ret.percent = (utils.timemarkToSeconds(ret.timemark) / duration) * 100;
+      // Not reported by older ffmpeg versions
+      if ('dup' in progress) {
+        ret.dupFrames = parseInt(progress.dup, 10);
+      }
+
+      if ('drop' in progress) {
+        ret.dropFrames = parseInt(progress.drop, 10);
+      }
+
+      if ('speed' in progress) {
+        ret.speed = parseFloat(progress.speed);
+      }
+
+      emitProgress(command, ret, ret.timemark);
+    }
+  },
+
+
+  /**
+   * Extract progress data from ffmpeg -progress output and emit 'progress' event if appropriate
+   *
+   * ffmpeg writes progress information as blocks of key=value lines, each block
+   * ending with a 'progress' key set to either 'continue' or 'end'.
+   *
+   * @param {FfmpegCommand} command event emitter
+   * @param {String} line progress output line
+   * @param {Object} progressBlock object used to accumulate progress block values between calls
+   * @private
+   */
+  extractProgressPipe: function(command, line, progressBlock) {
+    var idx = line.indexOf('=');
+    if (idx === -1) {
+      return;
+    }
+
+    var key = line.substr(0, idx).trim();
+    var value = line.substr(idx + 1).trim();
+
+    if (key !== 'progress') {
+      progressBlock[key] = value;
+      return;
+    }
+
+    var block = {};
+    Object.keys(progressBlock).forEach(function(key) {
+      block[key] = progressBlock[key];
+      delete progressBlock[key];
+    });
+
+    var totalSize = parseInt(block.total_size, 10);
+    var outTime = parseInt(block.out_time_us || block.out_time_ms, 10);
+
+    // build progress report object, using the same units as stderr progress
+    var ret = {
+      frames: parseInt(block.frame, 10),
+      currentFps: parseInt(block.fps, 10),
+      currentKbps: block.bitrate ? parseFloat(block.bitrate.replace('kbits/s', '')) : 0,
+      targetSize: isNaN(totalSize) ? totalSize : Math.floor(totalSize / 1024),
+      timemark: block.out_time,
+      dupFrames: parseInt(block.dup_frames, 10),
+      dropFrames: parseInt(block.drop_frames, 10),
+      speed: parseFloat(block.speed),
+      status: value
+    };
+
+    // out_time_ms is actually expressed in microseconds too
+    emitProgress(command, ret, isNaN(outTime) ? ret.timemark : outTime / 1000000);
+  },
+
+
+  /**
+   * Quote a command line argument for a shell
+   *
+   * Arguments that only contain safe characters are left untouched.
+   *
+   * @param {String|Number} arg argument
+   * @param {String} shell either 'posix' (sh, bash...) or 'cmd' (Windows cmd.exe)
+   * @return {String} quoted argument
+   * @private
+   */
+  quoteArgument: function(arg, shell) {
+    arg = String(arg);
+
+    if (arg.length && safeArgRegexp.test(arg)) {
+      return arg;
+    }
+
+    if (shell === 'cmd') {
+      // Quote for the C runtime argument parser, doubling backslashes before quotes
+      arg = '"' + arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1') + '"';
+
+      // Escape cmd.exe metacharacters
+      return arg.replace(cmdMetaRegexp, '^$1');
+    } else {
+      return "'" + arg.replace(/'/g, "'\\''") + "'";
+    }
+  },
+
+
+  /**
+   * Create an error reporting an aborted operation
+   *
+   * The error has the same name and code as errors produced by nodejs itself
+   * when an operation is aborted with an AbortSignal.
+   *
+   * @param {AbortSignal} [signal] aborted signal, its reason is attached as the error cause
+   * @return {FfmpegAbortError}
+   * @private
+   */
+  abortError: function(signal) {
+    var details = {};
+
+    if (signal && typeof signal.reason !== 'undefined') {
+      details.cause = signal.reason;
+    }
+
+    return new errors.FfmpegAbortError('The operation was aborted', details);
+  },
+
+
+  /**
+   * Combine several abort signals into one
+   *
+   * Returns an object with the following keys:
+   * - signal: a signal aborted as soon as any of the given signals is, or undefined when none is given
+   * - dispose(): stops following the given signals
+   *
+   * @param {AbortSignal[]} signals signals to follow, falsy items are ignored
+   * @return {Object}
+   * @private
+   */
+  anySignal: function(signals) {
+    signals = signals.filter(function(signal) {
+      return !!signal;
+    });
+
+    if (signals.length < 2) {
+      return { signal: signals[0], dispose: function() {} };
+    }
+
+    var controller = new AbortController();
+
+    function dispose() {
+      signals.forEach(function(signal) {
+        signal.removeEventListener('abort', onAbort);
+      });
+    }
+
+    function onAbort() {
+      dispose();
+      controller.abort(this.reason);
+    }
+
+    for (var i = 0; i < signals.length; i++) {
+      if (signals[i].aborted) {
+        dispose();
+        controller.abort(signals[i].reason);
+        break;
       }
-      command.emit('progress', ret);
+
+      signals[i].addEventListener('abort', onAbort);
     }
+
+    return { signal: controller.signal, dispose: dispose };
   },
 
 
@@ -355,10 +864,13 @@ var utils = module.exports = {
    * @private
    */
   extractError: function(stderr) {
-    // Only return the last stderr lines that don't start with a space or a square bracket
+    // Only return the last stderr lines that don't start with a space or a square bracket,
+    // ignoring -benchmark output
     return stderr.split(nlRegexp).reduce(function(messages, message) {
       if (message.charAt(0) === ' ' || message.charAt(0) === '[') {
         return [];
+      } else if (benchmarkRegexp.test(message)) {
+        return messages;
       } else {
         messages.push(message);
         return messages;
@@ -367,6 +879,36 @@ var utils = module.exports = {
   },
 
 
+  /**
+   * Extract -benchmark results from ffmpeg stderr
+   *
+   * @param {String} stderr ffmpeg stderr data
+   * @return {Object|null} object with 'utime', 'stime', 'rtime' (in seconds) and 'maxrss' (in kilobytes) keys,
+   *   or null when stderr contains no benchmark results
+   * @private
+   */
+  extractBenchmark: function(stderr) {
+    return stderr.split(nlRegexp).reduce(function(benchmark, line) {
+      var match = line.match(benchmarkRegexp);
+
+      if (match) {
+        benchmark = benchmark || {};
+
+        // Lines look like 'bench: utime=0.014s stime=0.000s rtime=0.031s' or 'bench: maxrss=17640kB'
+        match[1].split(' ').forEach(function(part) {
+          var keyValue = part.split('=');
+
+          if (keyValue.length === 2 && !isNaN(parseFloat(keyValue[1]))) {
+            benchmark[keyValue[0]] = parseFloat(keyValue[1]);
+          }
+        });
+      }
+
+      return benchmark;
+    }, null);
+  },
+
+
   /**
    * Creates a line ring buffer object with the following methods:
    * - append(str) : appends a string or buffer
@@ -2,7 +2,7 @@
 /*global describe,it*/
 'use strict';
 
-var Ffmpeg = require('../index');
+var Ffmpeg = require('../index').FfmpegCommand;
 
 var aliases = {
   audio: {
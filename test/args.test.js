@@ -2,8 +2,9 @@
 /*global describe,it,before*/
 'use strict';
 
-var Ffmpeg = require('../index'),
+var Ffmpeg = require('../index').FfmpegCommand,
   utils = require('../lib/utils'),
+  errors = require('../lib/errors'),
   path = require('path'),
   fs = require('fs'),
   assert = require('assert'),
@@ -285,14 +286,71 @@ describe('Command', function() {
       }).should.throw(/Invalid input/);
     });
 
-    it('should refuse to add more than 1 input stream', function() {
+    it('should only allow atomic file outputs', function() {
+      var stream = require('stream');
+
+      new Ffmpeg().output('/path/to/output.avi').atomic()._currentOutput.flags.atomic.should.be.true();
+      new Ffmpeg().atomic().output('/path/to/output.avi')._currentOutput.flags.atomic.should.be.true();
+      new Ffmpeg().output('/path/to/output.avi', { atomic: true })._currentOutput.flags.should.not.have.property('atomic');
+
+      (function() {
+        new Ffmpeg().output(new stream.PassThrough()).atomic();
+      }).should.throw('Atomic outputs must be files');
+
+      (function() {
+        new Ffmpeg().output('rtmp://example.com/live').atomic();
+      }).should.throw('Atomic outputs must be files');
+
+      (function() {
+        new Ffmpeg().atomic().output(new stream.PassThrough());
+      }).should.throw('Atomic outputs must be files');
+    });
+
+    it('should pipe several output streams on separate file descriptors', function(done) {
+      var stream = require('stream');
+
+      new Ffmpeg({ logger: testhelper.logger })
+        .addInput(fs.createReadStream(this.testfile))
+        .addInput(fs.createReadStream(this.testfilewide))
+        .output(new stream.PassThrough())
+        .output('/path/to/output.avi')
+        .output(new stream.PassThrough())
+        ._test_getArgs(function(args, err) {
+          testhelper.logArgError(err);
+          assert.ok(!err);
+
+          args.filter(function(arg) {
+            return arg.indexOf('pipe:') === 0 || arg === '/path/to/output.avi';
+          }).should.eql(['pipe:0', 'pipe:3', 'pipe:1', '/path/to/output.avi', 'pipe:4']);
+
+          done();
+        });
+    });
+
+    it('should pipe several input streams on separate file descriptors', function(done) {
       var stream1 = fs.createReadStream(this.testfile);
       var stream2 = fs.createReadStream(this.testfilewide);
-      var command = new Ffmpeg().addInput(stream1);
+      var stream3 = fs.createReadStream(this.testfile);
 
-      (function() {
-        command.addInput(stream2);
-      }).should.throw(/Only one input stream is supported/);
+      new Ffmpeg({ logger: testhelper.logger })
+        .addInput(stream1)
+        .addInput('soundtrack.mp3')
+        .addInput(stream2)
+        .addInput(stream3)
+        ._test_getArgs(function(args, err) {
+          testhelper.logArgError(err);
+          assert.ok(!err);
+
+          args.filter(function(arg, index) {
+            return args[index - 1] === '-i';
+          }).should.eql(['pipe:0', 'soundtrack.mp3', 'pipe:3', 'pipe:4']);
+
+          [stream1, stream2, stream3].forEach(function(stream) {
+            stream.destroy();
+          });
+
+          done();
+        });
     });
 
     it('should fail on input-related options when no input was added', function() {
@@ -1118,5 +1176,213 @@ describe('Command', function() {
         });
       });
     });
+
+    it('should not clone outputs', function() {
+      var command = new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .output('/path/to/output.avi');
+
+      var clone = command.clone();
+
+      clone._outputs.length.should.equal(1);
+      ('target' in clone._outputs[0]).should.be.false();
+      clone._currentOutput.should.equal(clone._outputs[0]);
+    });
+
+    it('should let clones of commands with outputs use their own outputs', function(done) {
+      var command = new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .output('/path/to/output.avi')
+        .audioCodec('pcm_u16le');
+
+      var clone = command.clone()
+        .output('/path/to/clone.avi')
+        .videoCodec('mpeg4');
+
+      command._outputs.length.should.equal(1);
+      command._currentOutput.should.equal(command._outputs[0]);
+
+      clone._test_getArgs(function(args) {
+        args.indexOf('/path/to/clone.avi').should.not.equal(-1);
+        args.indexOf('/path/to/output.avi').should.equal(-1);
+        args.indexOf('mpeg4').should.not.equal(-1);
+        args.indexOf('pcm_u16le').should.equal(-1);
+
+        command._test_getArgs(function(args) {
+          args.indexOf('mpeg4').should.equal(-1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('toJSON and fromJSON', function() {
+    it('should restore an identical command', function(done) {
+      var command = new Ffmpeg({ source: this.testfile, logger: testhelper.logger, timeout: 30, niceness: 5 })
+        .seekInput(2)
+        .input(this.testfilewide)
+        .inputFormat('avi')
+        .complexFilter(['[0:v][1:v]hstack[out]'], 'out')
+        .output('/path/to/output1.flv')
+        .audioCodec('libmp3lame')
+        .audioFilters('volume=0.5')
+        .videoFilters('negate')
+        .size('320x?')
+        .autopad()
+        .flvmeta()
+        .output('/path/to/output2.mp4')
+        .videoCodec('libx264')
+        .outputOptions('-preset', 'fast');
+
+      command._global('-hide_banner');
+
+      var restored = Ffmpeg.fromJSON(JSON.stringify(command), { logger: testhelper.logger });
+
+      restored.should.instanceof(Ffmpeg);
+      restored.options.timeout.should.equal(30);
+      restored.options.niceness.should.equal(5);
+      restored.logger.should.equal(testhelper.logger);
+      restored._outputs[0].flags.flvmeta.should.equal(true);
+
+      command._test_getArgs(function(originalArgs) {
+        restored._test_getArgs(function(restoredArgs) {
+          restoredArgs.should.eql(originalArgs);
+
+          // Methods still apply to the last output
+          restored.audioBitrate(128)._test_getArgs(function(args) {
+            args.indexOf('-b:a').should.above(args.indexOf('/path/to/output1.flv'));
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not serialize runtime-only options', function() {
+      var controller = new AbortController();
+      var data = new Ffmpeg({ source: this.testfile, logger: testhelper.logger, signal: controller.signal })
+        .output('/path/to/output.avi')
+        .toJSON();
+
+      data.options.should.not.have.property('logger');
+      data.options.should.not.have.property('signal');
+      data.options.should.not.have.property('source');
+      data.inputs.should.eql([{ source: this.testfile, options: [] }]);
+    });
+
+    it('should refuse to serialize commands with stream inputs or outputs', function() {
+      var stream = require('stream');
+
+      (function() {
+        new Ffmpeg(fs.createReadStream(this.testfile)).output('/path/to/output.avi').toJSON();
+      }).bind(this).should.throw('Cannot serialize command: input #0 is a stream');
+
+      (function() {
+        new Ffmpeg(this.testfile).output(new stream.PassThrough()).toJSON();
+      }).bind(this).should.throw('Cannot serialize command: output #0 is a stream');
+    });
+
+    it('should refuse to restore invalid data', function() {
+      (function() {
+        Ffmpeg.fromJSON({ inputs: [] });
+      }).should.throw('Invalid serialized command');
+    });
+  });
+
+  describe('toArgs', function() {
+    it('should return the argument list after preparation steps', function(done) {
+      new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .audioCodec('opus')
+        .output('/path/to/output.mkv')
+        .toArgs()
+        .then(function(args) {
+          args.slice(0, 2).should.eql(['-i', this.testfile]);
+
+          var index = args.indexOf('opus');
+          index.should.above(-1);
+          args.slice(index + 1, index + 3).should.eql(['-strict', 'experimental']);
+          args[args.length - 1].should.equal('/path/to/output.mkv');
+        }.bind(this))
+        .then(done, done);
+    });
+
+    it('should add -benchmark when the benchmark option is set', function(done) {
+      new Ffmpeg({ source: this.testfile, logger: testhelper.logger, benchmark: true })
+        .output('/path/to/output.mkv')
+        .toArgs(function(err, args) {
+          assert.ok(!err);
+          args.indexOf('-benchmark').should.above(args.indexOf(this.testfile));
+          done();
+        }.bind(this));
+    });
+
+    it('should call an optional callback', function(done) {
+      new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .output('/path/to/output.avi')
+        .toArgs(function(err, args) {
+          assert.ok(!err);
+          args.indexOf('/path/to/output.avi').should.above(-1);
+          done();
+        });
+    });
+
+    it('should report preparation errors', function(done) {
+      new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .videoCodec('invalid-codec')
+        .output('/path/to/output.avi')
+        .toArgs(function(err) {
+          assert.ok(err);
+          err.message.should.match(/Video codec invalid-codec is not available/);
+          done();
+        });
+    });
+
+    it('should reject two-pass commands', function(done) {
+      new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .videoBitrate('1000k')
+        .output('/path/to/output.avi')
+        .twoPass()
+        .toArgs(function(err) {
+          assert.ok(err);
+          err.should.be.instanceOf(errors.FfmpegError);
+          err.message.should.equal('Two-pass encoding cannot be described by a single argument list');
+          done();
+        });
+    });
+  });
+
+  describe('toCommandLine', function() {
+    it('should quote arguments for posix shells', function(done) {
+      new Ffmpeg({ source: '/path/to/my input.avi', logger: testhelper.logger })
+        .videoFilters("drawtext=text='hello world'")
+        .output('/path/to/output.avi')
+        .toCommandLine({ shell: 'posix' }, function(err, cmdline) {
+          assert.ok(!err);
+          cmdline.should.match(/^[^ ]*ffmpeg -i '\/path\/to\/my input.avi' /);
+          cmdline.indexOf("-filter:v 'drawtext=text='\\''hello world'\\'''").should.above(-1);
+          cmdline.should.match(/ \/path\/to\/output.avi$/);
+          done();
+        });
+    });
+
+    it('should quote arguments for cmd.exe', function(done) {
+      new Ffmpeg({ source: 'C:\\my videos\\input.avi', logger: testhelper.logger })
+        .output('C:\\output 100%.avi')
+        .toCommandLine({ shell: 'cmd' })
+        .then(function(cmdline) {
+          cmdline.indexOf(' -i ^"C:\\my^ videos\\input.avi^" ').should.above(-1);
+          cmdline.should.match(/ \^"C:\\output\^ 100\^%\.avi\^"$/);
+        })
+        .then(done, done);
+    });
+
+    it('should reject invalid shells', function(done) {
+      new Ffmpeg({ source: this.testfile, logger: testhelper.logger })
+        .output('/path/to/output.avi')
+        .toCommandLine({ shell: 'fish' })
+        .then(function() {
+          done(new Error('should have failed'));
+        }, function(err) {
+          err.message.should.equal('Invalid shell: fish');
+          done();
+        });
+    });
   });
 });
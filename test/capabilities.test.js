@@ -2,10 +2,12 @@
 /*global describe,it,beforeEach,afterEach,after*/
 'use strict';
 
-var Ffmpeg = require('../index'),
+var Ffmpeg = require('../index').FfmpegCommand,
   path = require('path'),
+  fs = require('fs'),
   assert = require('assert'),
   testhelper = require('./helpers'),
+  errors = require('../lib/errors'),
   async = require('async');
 
 // delimiter fallback for node 0.8
@@ -51,6 +53,8 @@ describe('Capabilities', function() {
         (typeof encoders.pcm_s16le.description).should.equal('string');
         ('experimental' in encoders.pcm_s16le).should.equal(true);
         (typeof encoders.pcm_s16le.experimental).should.equal('boolean');
+        encoders.pcm_s16le.codec.should.equal('pcm_s16le');
+        encoders.libx264.codec.should.equal('h264');
 
         done();
       });
@@ -95,11 +99,123 @@ describe('Capabilities', function() {
         (typeof filters.anull.multipleInputs).should.equal('boolean');
         ('multipleOutputs' in filters.anull).should.equal(true);
         (typeof filters.anull.multipleOutputs).should.equal('boolean');
+        filters.anull.inputCount.should.equal(1);
+        filters.anull.outputCount.should.equal(1);
+
+        // Filters with a dynamic number of inputs or outputs
+        filters.amix.input.should.equal('dynamic');
+        filters.amix.multipleInputs.should.equal(true);
+        (filters.amix.inputCount === null).should.equal(true);
+        filters.amix.output.should.equal('audio');
+        filters.amix.outputCount.should.equal(1);
+
+        // Source filters
+        filters.anullsrc.input.should.equal('none');
+        filters.anullsrc.inputCount.should.equal(0);
+
+        done();
+      });
+    });
+
+    it('should enable querying for available decoders', function(done) {
+      new Ffmpeg({ source: '' }).getAvailableDecoders(function(err, decoders) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        ('pcm_s16le' in decoders).should.equal(true);
+        decoders.pcm_s16le.type.should.equal('audio');
+        (typeof decoders.pcm_s16le.description).should.equal('string');
+        (typeof decoders.pcm_s16le.experimental).should.equal('boolean');
 
         done();
       });
     });
 
+    it('should enable querying for available pixel and sample formats', function(done) {
+      var command = new Ffmpeg({ source: '' });
+
+      command.availablePixelFormats(function(err, pixelFormats) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        pixelFormats.yuv420p.should.eql({
+          canInput: true,
+          canOutput: true,
+          hardware: false,
+          paletted: false,
+          bitstream: false,
+          components: 3,
+          bitsPerPixel: 12
+        });
+
+        pixelFormats.pal8.paletted.should.equal(true);
+
+        command.availableSampleFormats(function(err, sampleFormats) {
+          testhelper.logError(err);
+          assert.ok(!err);
+
+          sampleFormats.s16.should.eql({ depth: 16 });
+          sampleFormats.fltp.should.eql({ depth: 32 });
+
+          done();
+        });
+      });
+    });
+
+    it('should enable querying for available channel layouts', function(done) {
+      new Ffmpeg({ source: '' }).availableChannelLayouts(function(err, layouts) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        layouts.channels.FL.should.eql({ description: 'front left' });
+        ('NAME' in layouts.channels).should.equal(false);
+        layouts.layouts.stereo.should.eql({ channels: ['FL', 'FR'] });
+        layouts.layouts['5.1'].channels.should.eql(['FL', 'FR', 'FC', 'LFE', 'BL', 'BR']);
+
+        done();
+      });
+    });
+
+    it('should enable querying for available protocols', function(done) {
+      new Ffmpeg({ source: '' }).availableProtocols(function(err, protocols) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        protocols.file.should.eql({ canInput: true, canOutput: true });
+        protocols.pipe.canOutput.should.equal(true);
+        ('Input:' in protocols).should.equal(false);
+
+        done();
+      });
+    });
+
+    it('should enable querying for available bitstream filters and hwaccels', function(done) {
+      var command = new Ffmpeg({ source: '' });
+
+      command.availableBitstreamFilters(function(err, bitstreamFilters) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        Array.isArray(bitstreamFilters).should.equal(true);
+        bitstreamFilters.should.containEql('aac_adtstoasc');
+        bitstreamFilters.should.not.containEql('Bitstream');
+
+        command.availableHwaccels(function(err, hwaccels) {
+          testhelper.logError(err);
+          assert.ok(!err);
+
+          // Hwaccels depend on the build, but header lines must not be listed
+          Array.isArray(hwaccels).should.equal(true);
+          hwaccels.forEach(function(hwaccel) {
+            hwaccel.should.match(/^\S+$/);
+            hwaccel.should.not.match(/:$/);
+          });
+
+          done();
+        });
+      });
+    });
+
     it('should enable querying capabilities without instanciating a command', function(done) {
       Ffmpeg.getAvailableCodecs(function(err, codecs) {
         testhelper.logError(err);
@@ -122,7 +238,14 @@ describe('Capabilities', function() {
             (typeof formats).should.equal('object');
             Object.keys(formats).length.should.not.equal(0);
 
-            done();
+            Ffmpeg.getAvailablePixelFormats(function(err, pixelFormats) {
+              testhelper.logError(err);
+              assert.ok(!err);
+
+              ('yuv420p' in pixelFormats).should.equal(true);
+
+              done();
+            });
           });
         });
       });
@@ -239,6 +362,342 @@ describe('Capabilities', function() {
       });
     });
 
+    it('should enable checking command filters for available filters', function(done) {
+      function check(setup, message) {
+        return function(cb) {
+          var command = new Ffmpeg('/path/to/file.avi').output('/path/to/output.avi');
+          setup(command);
+
+          command._checkCapabilities(function(err) {
+            if (message) {
+              assert.ok(!!err);
+              err.should.be.instanceOf(errors.FfmpegCapabilityError);
+              err.message.should.equal(message);
+            } else {
+              testhelper.logError(err);
+              assert.ok(!err);
+            }
+
+            cb();
+          });
+        };
+      }
+
+      async.series([
+        // Valid filters
+        check(function(command) {
+          command
+            .audioFilters('volume=0.5', 'anull')
+            .videoFilters('scale=320:240', 'hflip')
+            .complexFilter([
+              '[0:a][0:a]amix=inputs=2[mixed]',
+              { filter: 'split', options: 2, inputs: '0:v', outputs: ['v1', 'v2'] },
+              { filter: 'hstack', inputs: ['v1', 'v2'], outputs: 'stacked' }
+            ]);
+        }),
+
+        // Source filters and [in]/[out] labels in simple filter graphs
+        check(function(command) {
+          command.videoFilters('movie=logo.png [wm]; [in][wm] overlay=10:10 [out]');
+        }),
+
+        check(function(command) {
+          command.videoFilters('[in] hflip [out]');
+        }),
+
+        // Unknown filters
+        check(function(command) {
+          command.videoFilters('scale=320:240', 'invalid-filter=a=b');
+        }, 'Filter invalid-filter (video filter #1 of output #0) is not available'),
+
+        check(function(command) {
+          command.complexFilter(['[0:v]hflip[flipped]', '[flipped]vflip,invalid-filter@instance[out]']);
+        }, 'Filter invalid-filter (complex filter #1 in chain #1) is not available'),
+
+        // Media type mismatches
+        check(function(command) {
+          command.audioFilters('volume=0.5', 'hflip');
+        }, 'Filter hflip (audio filter #1 of output #0) expects video input but receives audio output of filter volume'),
+
+        check(function(command) {
+          command.videoFilters('volume=0.5');
+        }, 'Filter volume (video filter #0 of output #0) expects audio input but receives video stream'),
+
+        check(function(command) {
+          command.audioFilters('showwaves');
+        }, 'Filter showwaves (audio filter #0 of output #0) produces video output but audio output is expected'),
+
+        check(function(command) {
+          command.complexFilter('[0:v][0:a]overlay[out]');
+        }, 'Filter overlay (complex filter #0 in chain #0) expects video input but receives audio stream [0:a]'),
+
+        check(function(command) {
+          command.complexFilter(['[0:a]anull[sound]', '[0:v][sound]overlay[out]']);
+        }, 'Filter overlay (complex filter #0 in chain #1) expects video input but receives audio output [sound] of filter anull'),
+
+        // Arity mismatches
+        check(function(command) {
+          command.videoFilters('overlay');
+        }, 'Filter overlay (video filter #0 of output #0) is connected to 1 input but expects 2'),
+
+        check(function(command) {
+          command.audioFilters('anullsrc');
+        }, 'Filter anullsrc (audio filter #0 of output #0) accepts no input, so the audio stream is not connected'),
+
+        check(function(command) {
+          command.videoFilters('movie=logo.png [wm]; [wm] overlay=10:10 [out]');
+        }, 'Filter overlay (video filter #1 of output #0) is connected to 1 input but expects 2'),
+
+        check(function(command) {
+          command.audioFilters('[in] showwaves [out]');
+        }, 'Filter showwaves (audio filter #0 of output #0) produces video output but audio output is expected'),
+
+        check(function(command) {
+          command.complexFilter('[0:v][1:v][2:v]overlay[out]');
+        }, 'Filter overlay (complex filter #0 in chain #0) is connected to 3 inputs but accepts at most 2'),
+
+        check(function(command) {
+          command.complexFilter('[0:v]hflip[a][b]');
+        }, 'Filter hflip (complex filter #0 in chain #0) is connected to 2 outputs but produces at most 1')
+      ], done);
+    });
+
+    it('should enable querying for ffmpeg version and configuration', function(done) {
+      new Ffmpeg().getVersion(function(err, version) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        (typeof version.version).should.equal('string');
+        version.libraries.should.have.property('libavcodec');
+        version.libraries.libavcodec.major.should.be.a.Number();
+        version.configuration.should.be.an.Array();
+        version.features.should.be.an.Array();
+
+        if (version.major !== null) {
+          version.major.should.be.a.Number();
+          version.minor.should.be.a.Number();
+          version.patch.should.be.a.Number();
+        }
+
+        done();
+      });
+    });
+
+    it('should enable static querying for ffmpeg version', function(done) {
+      Ffmpeg.getVersion(function(err, version) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        (typeof version.version).should.equal('string');
+        done();
+      });
+    });
+
+    (process.platform === 'win32' ? it.skip : it)('should parse release versions and enabled features', function(done) {
+      var script = path.join(require('os').tmpdir(), 'fluent-ffmpeg-version-test.sh');
+
+      fs.writeFileSync(script, [
+        '#!/bin/sh',
+        'echo "ffmpeg version 6.1.1-3ubuntu5 Copyright (c) 2000-2023 the FFmpeg developers"',
+        'echo "configuration: --prefix=/usr --enable-gpl --enable-libx264 --disable-stripping --enable-indev=alsa"',
+        'echo "libavutil      58. 29.100 / 58. 29.100"',
+        'echo "libavcodec     60. 31.102 / 60. 31.102"'
+      ].join('\n') + '\n', { mode: 493 });
+
+      var ff = new Ffmpeg({ ffmpegPath: script });
+
+      ff.getVersion(function(err, version) {
+        fs.unlinkSync(script);
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        version.version.should.equal('6.1.1-3ubuntu5');
+        version.major.should.equal(6);
+        version.minor.should.equal(1);
+        version.patch.should.equal(1);
+        version.libraries.libavcodec.should.eql({ major: 60, minor: 31, micro: 102 });
+        version.configuration.should.eql(['--prefix=/usr', '--enable-gpl', '--enable-libx264', '--disable-stripping', '--enable-indev=alsa']);
+        version.features.should.eql(['gpl', 'libx264']);
+
+        ff.supportsFeature('libx264', function(err, supported) {
+          assert.ok(!err);
+          supported.should.equal(true);
+
+          ff.supportsFeature('libfdk-aac', function(err, supported) {
+            assert.ok(!err);
+            supported.should.equal(false);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should enable querying for encoder options', function(done) {
+      new Ffmpeg().getEncoderOptions('mpeg4', function(err, encoder) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        encoder.name.should.equal('mpeg4');
+        encoder.description.should.be.a.String();
+        encoder.pixelFormats.should.containEql('yuv420p');
+        encoder.sampleRates.should.eql([]);
+
+        var option = encoder.options.data_partitioning;
+        option.type.should.equal('boolean');
+        option.default.should.equal(false);
+
+        option = encoder.options.mpeg_quant;
+        option.type.should.equal('int');
+        option.min.should.be.a.Number();
+        option.max.should.be.a.Number();
+
+        done();
+      });
+    });
+
+    it('should report allowed values and audio encoder formats', function(done) {
+      Ffmpeg.getEncoderOptions('mp2', function(err, encoder) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        encoder.sampleRates.should.containEql(44100);
+        encoder.sampleFormats.should.containEql('s16');
+        encoder.channelLayouts.should.containEql('stereo');
+
+        done();
+      });
+    });
+
+    it('should enable querying for muxer options', function(done) {
+      new Ffmpeg().getMuxerOptions('mp4', function(err, muxer) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        muxer.extensions.should.containEql('mp4');
+        muxer.mimeType.should.equal('video/mp4');
+
+        var movflags = muxer.options.movflags;
+        movflags.type.should.equal('flags');
+        movflags.values.map(function(value) { return value.name; }).should.containEql('faststart');
+
+        done();
+      });
+    });
+
+    it('should enable querying for filter options', function(done) {
+      new Ffmpeg().getFilterOptions('amix', function(err, filter) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        filter.description.should.be.a.String();
+        filter.dynamicInputs.should.equal(true);
+        filter.outputs.should.eql([{ name: 'default', type: 'audio' }]);
+        filter.options.inputs.default.should.equal(2);
+        filter.options.inputs.min.should.equal(1);
+
+        done();
+      });
+    });
+
+    it('should report unknown encoders, muxers and filters', function(done) {
+      var ff = new Ffmpeg();
+
+      ff.getFilterOptions('invalid-filter', function(err) {
+        assert.ok(err);
+        err.should.be.instanceOf(errors.FfmpegCapabilityError);
+        err.message.should.equal('Filter invalid-filter is not available');
+
+        ff.getEncoderOptions('invalid-encoder', function(err) {
+          assert.ok(err);
+          err.message.should.equal('Encoder invalid-encoder is not available');
+          done();
+        });
+      });
+    });
+
+    it('should enable checking codec, format and pixel format compatibility', function(done) {
+      function check(options, setup, message) {
+        return function(cb) {
+          var warnings = [];
+          var logger = {
+            debug: function() {},
+            info: function() {},
+            warn: function(warning) { warnings.push(warning); },
+            error: function() {}
+          };
+
+          options.logger = logger;
+
+          var command = new Ffmpeg('/path/to/file.avi', options);
+          setup(command);
+
+          command._checkCompatibility(function(err) {
+            if (options.checkCompatibility === 'error' && message) {
+              assert.ok(!!err);
+              err.should.be.instanceOf(errors.FfmpegCapabilityError);
+              err.message.should.equal(message);
+            } else {
+              testhelper.logError(err);
+              assert.ok(!err);
+              warnings.should.eql(message ? [message] : []);
+            }
+
+            cb();
+          });
+        };
+      }
+
+      async.series([
+        // Compatible codecs and formats
+        check({ checkCompatibility: 'error' }, function(command) {
+          command
+            .output('/path/to/output.mp4')
+            .videoCodec('libx264')
+            .audioCodec('aac')
+            .outputOptions('-pix_fmt', 'yuv420p');
+        }),
+
+        // Codecs unsupported by the output format, guessed from the file extension or set explicitly
+        check({ checkCompatibility: 'error' }, function(command) {
+          command.output('/path/to/output.mp4').audioCodec('pcm_s16le');
+        }, 'Audio codec pcm_s16le is not supported by output format mp4 (output #0)'),
+
+        check({ checkCompatibility: 'error' }, function(command) {
+          command.output('/path/to/output.mkv').format('webm').videoCodec('libx264');
+        }, 'Video codec libx264 (h264) is not supported by output format webm (output #0)'),
+
+        // Formats unsupported by encoders
+        check({ checkCompatibility: 'error' }, function(command) {
+          command.output('/path/to/output.avi').videoCodec('mpeg4').outputOptions('-pix_fmt', 'yuv444p');
+        }, 'Pixel format yuv444p is not supported by encoder mpeg4 (output #0)'),
+
+        check({ checkCompatibility: 'error' }, function(command) {
+          command.output('/path/to/output.mkv').audioCodec('aac').outputOptions('-sample_fmt', 's16');
+        }, 'Sample format s16 is not supported by encoder aac (output #0)'),
+
+        // Warnings by default
+        check({}, function(command) {
+          command.output('/path/to/output.webm').videoCodec('libx264');
+        }, 'Video codec libx264 (h264) is not supported by output format webm (output #0)'),
+
+        // Disabled check
+        check({ checkCompatibility: false }, function(command) {
+          command.output('/path/to/output.mp4').audioCodec('pcm_s16le');
+        })
+      ], done);
+    });
+
+    it('should check compatibility before running a command', function(done) {
+      new Ffmpeg('/path/to/file.avi', { checkCompatibility: 'error' })
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegCapabilityError);
+          err.message.should.equal('Audio codec pcm_s16le is not supported by output format mp4 (output #0)');
+          done();
+        })
+        .audioCodec('pcm_s16le')
+        .saveToFile('/tmp/will-not-be-created.mp4');
+    });
+
     it('should check capabilities before running a command', function(done) {
       new Ffmpeg('/path/to/file.avi')
         .on('error', function(err) {
@@ -669,4 +1128,244 @@ describe('Capabilities', function() {
     });
   });
 
+  describe('Binary profiles', function() {
+    after(function() {
+      // Forget paths after all tests
+      (new Ffmpeg())._forgetPaths();
+    });
+
+    it('should scope paths set on a command to that command', function(done) {
+      var ff = new Ffmpeg();
+      var other = new Ffmpeg();
+
+      ff._forgetPaths();
+      ff.setFfmpegPath('/doom/di/dom');
+
+      ff._getFfmpegPath(function(err, ffmpeg) {
+        assert.ok(!err);
+        ffmpeg.should.equal('/doom/di/dom');
+
+        other._getFfmpegPath(function(err, ffmpeg) {
+          testhelper.logError(err);
+          assert.ok(!err);
+
+          ffmpeg.should.not.equal('/doom/di/dom');
+          done();
+        });
+      });
+    });
+
+    it('should allow binary paths as command options', function(done) {
+      new Ffmpeg({ ffprobePath: '/doom/di/probe' })._getFfprobePath(function(err, ffprobe) {
+        assert.ok(!err);
+        ffprobe.should.equal('/doom/di/probe');
+        done();
+      });
+    });
+
+    it('should use binaries from named profiles', function(done) {
+      Ffmpeg.setBinaryProfile('doom', { ffmpegPath: '/doom/di/ffmpeg', ffprobePath: '/doom/di/ffprobe' });
+
+      var ff = new Ffmpeg({ profile: 'doom' });
+
+      ff._getFfmpegPath(function(err, ffmpeg) {
+        assert.ok(!err);
+        ffmpeg.should.equal('/doom/di/ffmpeg');
+
+        // Command paths override profile paths
+        ff.setFfprobePath('/doom/di/other-ffprobe');
+        ff._getFfprobePath(function(err, ffprobe) {
+          assert.ok(!err);
+          ffprobe.should.equal('/doom/di/other-ffprobe');
+
+          ff._getFfmpegPath(function(err, ffmpeg) {
+            assert.ok(!err);
+            ffmpeg.should.equal('/doom/di/ffmpeg');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should report unknown profiles', function(done) {
+      new Ffmpeg({ profile: 'unknown' }).availableCodecs(function(err) {
+        assert.ok(err);
+        err.message.should.equal('Unknown binary profile: unknown');
+        done();
+      });
+    });
+
+    it('should cache capabilities by ffmpeg binary', function(done) {
+      new Ffmpeg().availableFormats(function(err, formats) {
+        testhelper.logError(err);
+        assert.ok(!err);
+        Object.keys(formats).length.should.above(0);
+
+        new Ffmpeg({ ffmpegPath: '/doom/di/dom' }).availableFormats(function(err) {
+          assert.ok(err);
+          err.should.be.instanceOf(errors.FfmpegSpawnError);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Capability cache file', function() {
+    var tmpdir = require('os').tmpdir();
+    var script = path.join(tmpdir, 'fluent-ffmpeg-cache-test.sh');
+    var calls = path.join(tmpdir, 'fluent-ffmpeg-cache-test.log');
+    var cacheFile = path.join(tmpdir, 'fluent-ffmpeg-cache-test.json');
+
+    function writeScript(format, version) {
+      fs.writeFileSync(script, [
+        '#!/bin/sh',
+        'echo "$1" >> ' + calls,
+        'case "$1" in',
+        '  -version) echo "ffmpeg version ' + (version || '6.1.1') + ' Copyright (c) 2000-2023 the FFmpeg developers";;',
+        '  -formats) echo " DE ' + format + '             Test format";;',
+        'esac'
+      ].join('\n') + '\n', { mode: 493 });
+    }
+
+    function readCalls() {
+      return fs.existsSync(calls) ? fs.readFileSync(calls, 'utf8').trim().split('\n') : [];
+    }
+
+    // Wait for batched cache file writes
+    function waitForWrite(cb) {
+      setTimeout(cb, 100);
+    }
+
+    beforeEach(function() {
+      writeScript('avi');
+      Ffmpeg.setCapabilityCachePath(cacheFile);
+    });
+
+    afterEach(function() {
+      Ffmpeg.setCapabilityCachePath(null);
+
+      [script, calls, cacheFile].forEach(function(file) {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      });
+    });
+
+    (process.platform === 'win32' ? it.skip : it)('should store capabilities with binary details', function(done) {
+      new Ffmpeg({ ffmpegPath: script }).availableFormats(function(err, formats) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        formats.avi.canMux.should.equal(true);
+        readCalls().should.eql(['-version', '-formats']);
+
+        waitForWrite(function() {
+          var data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+          var entry = data.binaries[script];
+          var stats = fs.statSync(script);
+
+          entry.mtime.should.equal(stats.mtime.getTime());
+          entry.size.should.equal(stats.size);
+          entry.version.should.equal('6.1.1');
+          entry.capabilities.formats.should.eql(formats);
+
+          done();
+        });
+      });
+    });
+
+    (process.platform === 'win32' ? it.skip : it)('should load capabilities from the cache file', function(done) {
+      new Ffmpeg({ ffmpegPath: script }).availableFormats(function(err) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        waitForWrite(function() {
+          // Forget capabilities cached in memory
+          Ffmpeg.setCapabilityCachePath(cacheFile);
+
+          new Ffmpeg({ ffmpegPath: script }).availableFormats(function(err, formats) {
+            testhelper.logError(err);
+            assert.ok(!err);
+
+            formats.avi.canMux.should.equal(true);
+            readCalls().should.eql(['-version', '-formats', '-version']);
+
+            done();
+          });
+        });
+      });
+    });
+
+    (process.platform === 'win32' ? it.skip : it)('should query capabilities again when the binary changes', function(done) {
+      new Ffmpeg({ ffmpegPath: script }).availableFormats(function(err) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        waitForWrite(function() {
+          writeScript('matroska');
+          Ffmpeg.setCapabilityCachePath(cacheFile);
+
+          new Ffmpeg({ ffmpegPath: script }).availableFormats(function(err, formats) {
+            testhelper.logError(err);
+            assert.ok(!err);
+
+            ('avi' in formats).should.equal(false);
+            formats.matroska.canMux.should.equal(true);
+            readCalls().should.eql(['-version', '-formats', '-version', '-formats']);
+
+            done();
+          });
+        });
+      });
+    });
+
+    (process.platform === 'win32' ? it.skip : it)('should query capabilities again when the binary version changes', function(done) {
+      new Ffmpeg({ ffmpegPath: script }).availableFormats(function(err) {
+        testhelper.logError(err);
+        assert.ok(!err);
+
+        waitForWrite(function() {
+          // Replace the binary with one with the same size and modification time
+          var stats = fs.statSync(script);
+          writeScript('mkv', '6.1.2');
+          fs.utimesSync(script, stats.atime, stats.mtime);
+          fs.statSync(script).size.should.equal(stats.size);
+
+          Ffmpeg.setCapabilityCachePath(cacheFile);
+
+          new Ffmpeg({ ffmpegPath: script }).availableFormats(function(err, formats) {
+            testhelper.logError(err);
+            assert.ok(!err);
+
+            ('avi' in formats).should.equal(false);
+            formats.mkv.canMux.should.equal(true);
+            readCalls().should.eql(['-version', '-formats', '-version', '-formats']);
+
+            waitForWrite(function() {
+              var data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+              data.binaries[script].version.should.equal('6.1.2');
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should ignore invalid cache files', function(done) {
+      fs.writeFileSync(cacheFile, 'not json');
+
+      new Ffmpeg().availableFormats(function(err, formats) {
+        testhelper.logError(err);
+        assert.ok(!err);
+        Object.keys(formats).length.should.above(0);
+
+        waitForWrite(function() {
+          JSON.parse(fs.readFileSync(cacheFile, 'utf8')).format.should.equal(1);
+          done();
+        });
+      });
+    });
+  });
+
 });
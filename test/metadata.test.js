@@ -2,12 +2,13 @@
 /*global describe,it,before*/
 'use strict';
 
-var Ffmpeg = require('../index'),
+var Ffmpeg = require('../index').FfmpegCommand,
   path = require('path'),
   fs = require('fs'),
   Readable = require('stream').Readable,
   assert = require('assert'),
   exec = require('child_process').exec,
+  errors = require('../lib/errors'),
   testhelper = require('./helpers');
 
 
@@ -94,6 +95,9 @@ describe('Metadata', function() {
   it('should return ffprobe errors', function(done) {
     Ffmpeg.ffprobe('/path/to/missing/file', function(err) {
       assert.ok(!!err);
+      err.should.be.instanceOf(errors.FfmpegExitError);
+      err.exitCode.should.be.above(0);
+      err.reason.should.equal('no such file');
       done();
     });
   });
@@ -114,6 +118,51 @@ describe('Metadata', function() {
       });
   });
 
+  it('should parse packets when requested', function(done) {
+    Ffmpeg.ffprobe(this.testfile, ['-show_packets', '-show_entries', 'packet=pts_time,flags'], function(err, data) {
+      testhelper.logError(err);
+      assert.ok(!err);
+
+      Array.isArray(data.packets).should.equal(true);
+      data.packets.length.should.above(0);
+      data.packets[0].flags.should.match(/^K/);
+      ('pts_time' in data.packets[0]).should.equal(true);
+
+      done();
+    });
+  });
+
+  it('should return a promise when calling ffprobeAsync', function() {
+    return Ffmpeg.ffprobeAsync(this.testfile)
+      .then(function(data) {
+        ('format' in data).should.equal(true);
+        Array.isArray(data.streams).should.equal(true);
+      });
+  });
+
+  it('should reject ffprobeAsync promises with ffprobe errors', function() {
+    return new Ffmpeg({ source: this.testfile })
+      .ffprobeAsync(1)
+      .then(function() {
+        assert.ok(false);
+      }, function(err) {
+        err.message.should.match(/Invalid input index/);
+      });
+  });
+
+  it('should report an AbortError when aborting ffprobe', function(done) {
+    var controller = new AbortController();
+
+    new Ffmpeg({ source: this.testfile })
+      .ffprobe({ signal: controller.signal }, function(err) {
+        assert.ok(!!err);
+        err.name.should.equal('AbortError');
+        done();
+      });
+
+    controller.abort();
+  });
+
   it('should fail calling ffprobe on a command without input', function(done) {
     new Ffmpeg().ffprobe(function(err) {
       assert.ok(!!err);
@@ -2,7 +2,7 @@
 /*global describe,it,before,after,beforeEach,afterEach*/
 'use strict';
 
-var FfmpegCommand = require('../index'),
+var FfmpegCommand = require('../index').FfmpegCommand,
   path = require('path'),
   fs = require('fs'),
   assert = require('assert'),
@@ -11,6 +11,7 @@ var FfmpegCommand = require('../index'),
   spawn = require('child_process').spawn,
   async = require('async'),
   stream = require('stream'),
+  errors = require('../lib/errors'),
   testhelper = require('./helpers');
 
 
@@ -19,6 +20,14 @@ var testRTSP = 'rtsp://127.0.0.1:5540/test-rtp.mpg';
 var testRTPOut = 'rtp://127.0.0.1:5540/input.mpg';
 
 
+// List temporary directories created by fluent-ffmpeg
+function tempDirs() {
+  return fs.readdirSync(require('os').tmpdir()).filter(function(file) {
+    return file.indexOf('fluent-ffmpeg-') === 0;
+  });
+}
+
+
 /*****************************************************************
 
               IMPORTANT NOTE ABOUT PROCESSOR TESTS
@@ -270,6 +279,7 @@ describe('Processor', function() {
           .on('error', function(err, stdout, stderr) {
             self.saveOutput(stdout, stderr);
             err.message.indexOf('timeout').should.not.equal(-1);
+            err.should.be.instanceOf(errors.FfmpegTimeoutError);
           })
           .on('end', function() {
             console.log('end was called, expected a timeout');
@@ -279,10 +289,102 @@ describe('Processor', function() {
           .saveToFile(testFile);
     });
 
+    it('should kill the process when it stalls', function(done) {
+      this.timeout(10000);
+
+      var testFile = path.join(__dirname, 'assets', 'testProcessStalled.avi');
+
+      // Feed a few bytes of input, then nothing
+      var input = new stream.Readable({ read: function() {} });
+      var fd = fs.openSync(this.testfilebig, 'r');
+      var data = Buffer.alloc(65536);
+      fs.readSync(fd, data, 0, data.length, 0);
+      fs.closeSync(fd);
+      input.push(data);
+
+      var command = this.getCommand({ source: input, logger: testhelper.logger, inactivityTimeout: 1 });
+      var start = Date.now();
+
+      command
+        .usingPreset('divx')
+        .on('start', function() {
+          command.ffmpegProc.on('exit', function() {
+            if (fs.existsSync(testFile)) {
+              fs.unlinkSync(testFile);
+            }
+
+            done();
+          });
+        })
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegStalledError);
+          err.message.should.equal('process stalled, no activity for 1s');
+          (Date.now() - start).should.be.above(900);
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .saveToFile(testFile);
+    });
+
+    it('should not report stalls while output is produced', function(done) {
+      this.timeout(20000);
+
+      var output = new stream.PassThrough();
+      var size = 0;
+
+      output.on('data', function(chunk) {
+        size += chunk.length;
+      });
+
+      var start = Date.now();
+
+      // Read input at native framerate, so that processing lasts longer than the inactivity timeout
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger, inactivityTimeout: 1 })
+        .native()
+        .addOption('-nostats')
+        .duration(2.5)
+        .format('mpegts')
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(false);
+        })
+        .on('end', function() {
+          size.should.above(0);
+          (Date.now() - start).should.above(2000);
+          done();
+        })
+        .pipe(output);
+    });
+
+    it('should not report stalls of file outputs while stderr shows no progress', function(done) {
+      this.timeout(20000);
+
+      var testFile = path.join(__dirname, 'assets', 'testProcessNoStats.avi');
+      this.files.push(testFile);
+
+      var start = Date.now();
+
+      // Read input at native framerate, so that processing lasts longer than the inactivity timeout
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger, inactivityTimeout: 1 })
+        .native()
+        .addOption('-nostats')
+        .duration(2.5)
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(false);
+        })
+        .on('end', function() {
+          (Date.now() - start).should.above(2000);
+          done();
+        })
+        .saveToFile(testFile);
+    });
+
     it('should not keep node process running on completion', function(done) {
       var script = `
-        var ffmpeg = require('.');
-        ffmpeg('${this.testfilebig}', { timeout: 60 })
+        var FfmpegCommand = require('.').FfmpegCommand;
+        new FfmpegCommand('${this.testfilebig}', { timeout: 60 })
           .addOption('-t', 1)
           .addOption('-f', 'null')
           .saveToFile('/dev/null');
@@ -325,6 +427,188 @@ describe('Processor', function() {
           .saveToFile(testFile);
     });
 
+    it('should not spawn ffmpeg when aborted before running', function(done) {
+      var controller = new AbortController();
+      var startCalled = false;
+      controller.abort();
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger, signal: controller.signal })
+        .usingPreset('divx')
+        .on('start', function() {
+          startCalled = true;
+        })
+        .on('error', function(err) {
+          err.name.should.equal('AbortError');
+          startCalled.should.equal(false);
+          done();
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .saveToFile(path.join(__dirname, 'assets', 'testAbortBeforeRun.avi'));
+    });
+
+    it('should abort a running process with an AbortError', function(done) {
+      this.timeout(10000);
+
+      var testFile = path.join(__dirname, 'assets', 'testAbortRunning.avi');
+      this.files.push(testFile);
+
+      var controller = new AbortController();
+      var command = this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .usingPreset('divx')
+        .output(testFile)
+        .on('start', function() {
+          setTimeout(function() { controller.abort(); }, 500);
+        });
+
+      command
+        .runAsync({ signal: controller.signal })
+        .then(function() {
+          assert.ok(false);
+        }, function(err) {
+          err.name.should.equal('AbortError');
+          err.should.be.instanceOf(errors.FfmpegAbortError);
+          err.message.should.not.match(/killed with signal/);
+          assert.ok(!command.ffmpegProc);
+        })
+        .then(done, done);
+    });
+
+    (process.platform === 'win32' ? it.skip : it)('should abort capability queries with the run signal', function(done) {
+      this.timeout(10000);
+
+      var script = path.join(require('os').tmpdir(), 'fluent-ffmpeg-abort-query-test.sh');
+      var pidFile = script + '.pid';
+
+      // Fake ffmpeg hanging on capability queries
+      fs.writeFileSync(script, [
+        '#!/bin/sh',
+        'echo $$ > ' + pidFile,
+        'exec sleep 30'
+      ].join('\n') + '\n', { mode: 493 });
+
+      var controller = new AbortController();
+
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger, ffmpegPath: script })
+        .output(path.join(__dirname, 'assets', 'testAbortQuery.avi'));
+
+      setTimeout(function() { controller.abort(); }, 500);
+
+      command
+        .runAsync({ signal: controller.signal })
+        .then(function() {
+          assert.ok(false);
+        }, function(err) {
+          err.name.should.equal('AbortError');
+
+          // Let the query process exit
+          return new Promise(function(resolve) { setTimeout(resolve, 200); });
+        })
+        .then(function() {
+          var pid = Number(fs.readFileSync(pidFile, 'utf8'));
+
+          fs.unlinkSync(script);
+          fs.unlinkSync(pidFile);
+
+          (function() {
+            process.kill(pid, 0);
+          }).should.throw(/ESRCH/);
+        })
+        .then(done, done);
+    });
+
+    it('should stop the process gracefully with .stop', function(done) {
+      this.timeout(20000);
+
+      var testFile = path.join(__dirname, 'assets', 'testProcessStop.mp4');
+      this.files.push(testFile);
+
+      var command = this.getCommand({ source: this.testfilebig, logger: testhelper.logger });
+
+      command
+        .videoCodec('mpeg4')
+        .on('start', function() {
+          setTimeout(function() { command.stop(); }, 1000);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(false);
+        })
+        .on('end', function() {
+          // Output must have been finalized
+          FfmpegCommand.ffprobe(testFile, function(err, data) {
+            assert.ok(!err);
+            Number(data.format.duration).should.above(0);
+            Number(data.format.duration).should.below(300);
+            done();
+          });
+        })
+        .saveToFile(testFile);
+    });
+
+    it('should stop the process gracefully when using an input stream', function(done) {
+      this.timeout(20000);
+
+      var testFile = path.join(__dirname, 'assets', 'testProcessStopStream.mp4');
+      this.files.push(testFile);
+
+      var command = this.getCommand({ source: fs.createReadStream(this.testfilebig), logger: testhelper.logger });
+
+      command
+        .videoCodec('mpeg4')
+        .on('start', function() {
+          setTimeout(function() { command.stop(); }, 1000);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(false);
+        })
+        .on('end', function() {
+          fs.existsSync(testFile).should.equal(true);
+          done();
+        })
+        .saveToFile(testFile);
+    });
+
+    (skipNiceness ? it.skip : it)('should pause and resume the process with .pause and .resume', function(done) {
+      this.timeout(20000);
+
+      var testFile = path.join(__dirname, 'assets', 'testProcessPause.avi');
+      this.files.push(testFile);
+
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger, timeout: 2, inactivityTimeout: 2 });
+      var events = [];
+
+      command
+        .usingPreset('divx')
+        .on('start', function() {
+          command.pause();
+
+          // Exceed the timeouts while paused
+          setTimeout(function() {
+            assert.ok(command.ffmpegProc);
+            command.resume();
+          }, 3000);
+        })
+        .on('pause', function() {
+          events.push('pause');
+        })
+        .on('resume', function() {
+          events.push('resume');
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(false);
+        })
+        .on('end', function() {
+          events.should.eql(['pause', 'resume']);
+          command._pausedTime.should.above(2500);
+          done();
+        })
+        .saveToFile(testFile);
+    });
+
     it('should send the process custom signals with .kill(signal)', function(done) {
       this.timeout(60000);
 
@@ -350,6 +634,7 @@ describe('Processor', function() {
           .on('error', function(err) {
             startCalled.should.equal(true);
             err.message.indexOf('timeout').should.not.equal(-1);
+            err.should.be.instanceOf(errors.FfmpegTimeoutError);
 
             errorCalled = true;
             ffmpegJob.kill('SIGCONT');
@@ -365,6 +650,53 @@ describe('Processor', function() {
   });
 
   describe('Events', function() {
+    it('should report resource usage on \'end\'', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testStats.avi');
+      this.files.push(testFile);
+
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger });
+
+      command
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function(stdout, stderr, stats) {
+          stats.should.equal(command.stats);
+          stats.wallTime.should.above(0);
+          (stats.benchmark === null).should.be.true();
+
+          if (process.platform === 'linux') {
+            stats.maxRss.should.above(0);
+            stats.cpuUser.should.be.a.Number();
+            stats.cpuSystem.should.be.a.Number();
+          }
+
+          done();
+        })
+        .saveToFile(testFile);
+    });
+
+    it('should report -benchmark results with the benchmark option', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testStats.avi');
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger, benchmark: true })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function(stdout, stderr, stats) {
+          stats.benchmark.should.have.properties(['utime', 'stime', 'rtime', 'maxrss']);
+          stats.cpuUser.should.equal(stats.benchmark.utime);
+          stats.cpuSystem.should.equal(stats.benchmark.stime);
+          stats.maxRss.should.equal(stats.benchmark.maxrss);
+
+          done();
+        })
+        .saveToFile(testFile);
+    });
+
     it('should report codec data through \'codecData\' event', function(done) {
       this.timeout(60000);
 
@@ -456,6 +788,79 @@ describe('Processor', function() {
           .saveToFile(testFile);
     });
 
+    it('should report machine-readable progress information', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testOnProgressPipe.avi');
+      var progresses = [];
+
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+          .on('start', function(cmdline) {
+            cmdline.indexOf('-progress pipe:3').should.not.equal(-1);
+          })
+          .on('progress', function(progress) {
+            progresses.push(progress);
+          })
+          .usingPreset('divx')
+          .on('error', function(err, stdout, stderr) {
+            testhelper.logError(err, stdout, stderr);
+            assert.ok(!err);
+          })
+          .on('end', function() {
+            progresses.length.should.above(0);
+
+            var last = progresses[progresses.length - 1];
+            last.status.should.equal('end');
+            last.frames.should.above(0);
+            last.should.have.property('speed');
+            last.should.have.property('dupFrames');
+            last.should.have.property('dropFrames');
+            last.percent.should.be.approximately(100, 5);
+            done();
+          })
+          .saveToFile(testFile);
+    });
+
+    it('should compute progress percentage from the expected output duration', function(done) {
+      this.timeout(60000);
+
+      var testFile = path.join(__dirname, 'assets', 'testOnProgressDuration.avi');
+      var progresses = [];
+
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+          .seekInput(10)
+          .duration(3)
+          .on('progress', function(progress) {
+            progresses.push(progress);
+          })
+          .usingPreset('divx')
+          .on('error', function(err, stdout, stderr) {
+            testhelper.logError(err, stdout, stderr);
+            assert.ok(!err);
+          })
+          .on('end', function() {
+            progresses.length.should.above(0);
+
+            progresses.forEach(function(progress) {
+              progress.elapsed.should.above(0);
+
+              // Metadata may not be available yet for the first progress reports
+              if ('percent' in progress) {
+                progress.percent.should.within(0, 100);
+                progress.eta.should.not.below(0);
+              }
+            });
+
+            progresses[progresses.length - 1].percent.should.be.approximately(100, 5);
+            done();
+          })
+          .saveToFile(testFile);
+    });
+
     it('should report start of ffmpeg process through \'start\' event', function(done) {
       this.timeout(60000);
 
@@ -782,23 +1187,89 @@ describe('Processor', function() {
         .saveToFile(testFile);
     });
 
-    it('should pass input stream errors through to error handler', function(done) {
-      var testFile = path.join(__dirname, 'assets', 'testConvertFromStream.avi')
+    it('should accept several streams as inputs', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testConvertFromStreams.avi');
+      this.files.push(testFile);
 
-		const readError = new Error('Read Error')
-      const instream = new (require('stream').Readable)({
-        read() {
-  		    process.nextTick(() => this.emit('error', readError))
-		  }
-      })
+      var videoStream = fs.createReadStream(this.testfile);
+      var audioStream = fs.createReadStream(this.testfileaudio1);
 
-      const command = this.getCommand({ source: instream, logger: testhelper.logger })
+      this.getCommand({ source: videoStream, logger: testhelper.logger })
+        .input(audioStream)
+        .inputFormat('wav')
+        .outputOptions('-map', '0:v', '-map', '1:a')
+        .usingPreset('divx')
+        .on('start', function(cmdline) {
+          cmdline.indexOf('-i pipe:0').should.not.equal(-1);
+          cmdline.indexOf('-f wav -i pipe:3').should.not.equal(-1);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          FfmpegCommand.ffprobe(testFile, function(err, data) {
+            assert.ok(!err);
 
-      let startCalled = false
-      const self = this
+            data.streams.map(function(stream) { return stream.codec_type; }).sort()
+              .should.eql(['audio', 'video']);
+
+            done();
+          });
+        })
+        .saveToFile(testFile);
+    });
+
+    it('should report which input stream failed', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testConvertFromFailingStreams.avi');
+
+      var readError = new Error('Read Error');
+      var failingStream = new (require('stream').Readable)({
+        read: function() {
+          var self = this;
+          process.nextTick(function() { self.emit('error', readError); });
+        }
+      });
+
+      var command = this.getCommand({ source: fs.createReadStream(this.testfile), logger: testhelper.logger });
 
       command
-          .usingPreset('divx')
+        .input(failingStream)
+        .usingPreset('divx')
+        .on('error', function(err) {
+          err.message.indexOf('Input stream error: ').should.equal(0);
+          assert.strictEqual(err.inputStreamError, readError);
+          err.inputIndex.should.equal(1);
+
+          command.ffmpegProc.on('exit', function() {
+            fs.unlink(testFile, function() {
+              done();
+            });
+          });
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .saveToFile(testFile);
+    });
+
+    it('should pass input stream errors through to error handler', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testConvertFromStream.avi')
+
+		const readError = new Error('Read Error')
+      const instream = new (require('stream').Readable)({
+        read() {
+  		    process.nextTick(() => this.emit('error', readError))
+		  }
+      })
+
+      const command = this.getCommand({ source: instream, logger: testhelper.logger })
+
+      let startCalled = false
+      const self = this
+
+      command
+          .usingPreset('divx')
           .on('start', function() {
           	startCalled = true
             command.ffmpegProc.on('exit', function() {
@@ -853,6 +1324,169 @@ describe('Processor', function() {
         .mergeAdd(this.testfileaudio3)
         .mergeToFile(testFile);
     });
+
+    it('should merge files losslessly with the concat demuxer', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testMergeDemuxer.wav');
+      this.files.push(testFile);
+
+      this.getCommand({source: this.testfileaudio1, logger: testhelper.logger})
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          FfmpegCommand.ffprobe(testFile, function(err, data) {
+            assert.ok(!err);
+            Number(data.format.duration).should.be.approximately(3, 0.1);
+            data.streams[0].codec_name.should.equal('pcm_s16le');
+
+            done();
+          });
+        })
+        .mergeAdd(this.testfileaudio2)
+        .mergeAdd(this.testfileaudio3)
+        .mergeToFile(testFile, { demuxer: true });
+    });
+
+    it('should write atomic outputs with the concat demuxer', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testMergeDemuxerAtomic.wav');
+      this.files.push(testFile);
+
+      this.getCommand({source: this.testfileaudio1, logger: testhelper.logger})
+        .atomic()
+        .on('start', function(commandLine) {
+          commandLine.should.match(/\.testMergeDemuxerAtomic\.[0-9a-f]+\.tmp\.wav$/);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          fs.statSync(testFile).size.should.above(0);
+          done();
+        })
+        .mergeAdd(this.testfileaudio2)
+        .mergeToFile(testFile, { demuxer: true });
+    });
+  });
+
+  describe('parallelEncode', function() {
+    it('should encode segments concurrently and join them', function(done) {
+      this.timeout(120000);
+
+      var testFile = path.join(__dirname, 'assets', 'testParallelEncode.mpg');
+      this.files.push(testFile);
+
+      var progresses = [];
+      var tmpdirs = tempDirs();
+
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .output(testFile)
+        .on('progress', function(progress) {
+          progresses.push(progress.percent);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          progresses.length.should.above(0);
+          progresses[progresses.length - 1].should.be.approximately(100, 1);
+
+          FfmpegCommand.ffprobe(testFile, function(err, data) {
+            assert.ok(!err);
+            Number(data.format.duration).should.be.approximately(300, 1);
+            tempDirs().should.eql(tmpdirs);
+
+            done();
+          });
+        })
+        .parallelEncode({ chunks: 3, concurrency: 2 });
+    });
+
+    it('should encode audio once without gaps at segment boundaries', function(done) {
+      this.timeout(120000);
+
+      var testFile = path.join(__dirname, 'assets', 'testParallelEncodeAudio.mpg');
+      this.files.push(testFile);
+
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .output(testFile)
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          FfmpegCommand.ffprobe(testFile, ['-select_streams', 'a:0', '-show_packets'], function(err, data) {
+            assert.ok(!err);
+            data.packets.length.should.above(0);
+
+            // Each audio packet must start where the previous one ended
+            for (var i = 1; i < data.packets.length; i++) {
+              var previous = data.packets[i - 1];
+              var gap = Number(data.packets[i].pts_time) - Number(previous.pts_time) - Number(previous.duration_time);
+
+              gap.should.be.approximately(0, 0.001);
+            }
+
+            done();
+          });
+        })
+        .parallelEncode({ chunks: 3, concurrency: 2 });
+    });
+
+    it('should require a chunks or segmentDuration option', function(done) {
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .output(path.join(__dirname, 'assets', 'testParallelEncode.avi'))
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegError);
+          err.message.should.equal('Parallel encoding requires a chunks or segmentDuration option');
+          done();
+        })
+        .parallelEncode({});
+    });
+
+    it('should require a file output', function(done) {
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .output(new stream.PassThrough())
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegOutputStreamError);
+          err.outputIndex.should.equal(0);
+          err.message.should.equal('Parallel encoding requires a file output');
+          done();
+        })
+        .parallelEncode({ chunks: 2 });
+    });
+
+    it('should require a file input', function(done) {
+      this.getCommand({ source: fs.createReadStream(this.testfile), logger: testhelper.logger })
+        .output(path.join(__dirname, 'assets', 'testParallelEncode.avi'))
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegInputStreamError);
+          err.inputIndex.should.equal(0);
+          err.message.should.equal('Parallel encoding requires a single file input');
+          done();
+        })
+        .parallelEncode({ chunks: 2 });
+    });
+
+    it('should reject complex filters', function(done) {
+      var tmpdirs = tempDirs();
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .complexFilter(['[0:v]scale=160:120[out]'], 'out')
+        .output(path.join(__dirname, 'assets', 'testParallelEncode.avi'))
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegError);
+          err.message.should.equal('Parallel encoding cannot be used with complex filters');
+          tempDirs().should.eql(tmpdirs);
+          done();
+        })
+        .on('end', function() {
+          assert.ok(false, 'end event should not be emitted');
+        })
+        .parallelEncode({ chunks: 2 });
+    });
   });
 
   describe('writeToStream', function() {
@@ -1056,6 +1690,246 @@ describe('Processor', function() {
         })
         .run();
     });
+
+    it('should write atomic outputs to a temporary file renamed on success', function(done) {
+      this.timeout(30000);
+
+      var testFile = path.join(__dirname, 'assets', 'testAtomicOutput.avi');
+      this.files.push(testFile);
+
+      function tempFiles() {
+        return fs.readdirSync(path.join(__dirname, 'assets')).filter(function(file) {
+          return file.indexOf('.testAtomicOutput.') === 0;
+        });
+      }
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .output(testFile)
+        .atomic()
+        .usingPreset('divx')
+        .on('start', function(commandLine) {
+          commandLine.should.not.containEql(testFile);
+          commandLine.should.match(/\.testAtomicOutput\.[0-9a-f]+\.tmp\.avi$/);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          fs.statSync(testFile).size.should.above(0);
+          tempFiles().should.eql([]);
+          done();
+        })
+        .run();
+    });
+
+    it('should remove atomic output temporary files on error', function(done) {
+      this.timeout(30000);
+
+      var testFile = path.join(__dirname, 'assets', 'testAtomicOutputKill.avi');
+      var command = this.getCommand({ source: this.testfilebig, logger: testhelper.logger });
+      var tempFile;
+
+      command
+        .output(testFile)
+        .atomic()
+        .usingPreset('divx')
+        .on('start', function(commandLine) {
+          tempFile = commandLine.split(' ').pop();
+
+          setTimeout(function() {
+            fs.existsSync(tempFile).should.be.true();
+            command.kill();
+          }, 1000);
+        })
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegSignalError);
+          fs.existsSync(tempFile).should.be.false();
+          fs.existsSync(testFile).should.be.false();
+          done();
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .run();
+    });
+
+    it('should encode two-pass outputs', function(done) {
+      this.timeout(30000);
+
+      var testFile = path.join(__dirname, 'assets', 'testTwoPass.avi');
+      this.files.push(testFile);
+
+      var commandLines = [];
+      var percents = [];
+
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .output(testFile)
+        .videoCodec('mpeg4')
+        .videoBitrate('1000k')
+        .twoPass()
+        .on('start', function(commandLine) {
+          commandLines.push(commandLine);
+        })
+        .on('progress', function(progress) {
+          if ('percent' in progress) {
+            percents.push(progress.percent);
+          }
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          commandLines.length.should.equal(2);
+          commandLines[0].should.match(/ -an -pass 1 -passlogfile (\S+) -f null \/dev\/null$/);
+          commandLines[1].should.match(/ -pass 2 -passlogfile (\S+) .*testTwoPass\.avi$/);
+
+          var passLogFile = commandLines[0].match(/-passlogfile (\S+)/)[1];
+          commandLines[1].should.containEql('-passlogfile ' + passLogFile);
+          fs.existsSync(path.dirname(passLogFile)).should.be.false();
+
+          fs.statSync(testFile).size.should.above(0);
+
+          percents.should.eql(percents.slice().sort(function(a, b) { return a - b; }));
+          percents.some(function(percent) { return percent <= 50; }).should.be.true();
+          percents[percents.length - 1].should.equal(100);
+
+          done();
+        })
+        .run();
+    });
+
+    it('should not run the final pass when stopped during the first pass', function(done) {
+      this.timeout(20000);
+
+      var testFile = path.join(__dirname, 'assets', 'testTwoPassStop.avi');
+
+      var commandLines = [];
+      var command = this.getCommand({ source: this.testfilebig, logger: testhelper.logger });
+
+      command
+        .output(testFile)
+        .videoCodec('mpeg4')
+        .videoBitrate('1000k')
+        .twoPass()
+        .on('start', function(commandLine) {
+          commandLines.push(commandLine);
+          setTimeout(function() { command.stop(); }, 1000);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(false);
+        })
+        .on('end', function() {
+          commandLines.length.should.equal(1);
+          fs.existsSync(testFile).should.be.false();
+
+          var passLogFile = commandLines[0].match(/-passlogfile (\S+)/)[1];
+          fs.existsSync(path.dirname(passLogFile)).should.be.false();
+
+          ('_stopping' in command).should.be.false();
+          ('_firstPass' in command).should.be.false();
+          ('_passLogDir' in command).should.be.false();
+          done();
+        })
+        .run();
+    });
+
+    it('should not use two-pass encoding with input streams', function(done) {
+      this.getCommand({ source: fs.createReadStream(this.testfile), logger: testhelper.logger })
+        .output('/will/not/be/created/anyway.avi')
+        .videoBitrate('1000k')
+        .twoPass()
+        .on('start', function() {
+          assert.ok(false);
+        })
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegInputStreamError);
+          err.inputIndex.should.equal(0);
+          err.message.should.equal('Two-pass encoding cannot be used with input streams');
+          done();
+        })
+        .run();
+    });
+
+    it('should write to several output streams', function(done) {
+      this.timeout(30000);
+
+      var Writable = require('stream').Writable;
+      var sizes = [0, 0];
+
+      function sink(index) {
+        return new Writable({
+          write: function(chunk, encoding, callback) {
+            sizes[index] += chunk.length;
+            callback();
+          }
+        });
+      }
+
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .output(sink(0))
+        .duration(2)
+        .noVideo()
+        .audioCodec('pcm_s16le')
+        .format('wav')
+        .output(sink(1), { end: true })
+        .duration(2)
+        .noAudio()
+        .videoCodec('mpeg4')
+        .format('avi')
+        .on('start', function(cmdline) {
+          cmdline.indexOf('-f wav pipe:1').should.not.equal(-1);
+          cmdline.indexOf('-f avi pipe:3').should.not.equal(-1);
+        })
+        .on('error', function(err, stdout, stderr) {
+          testhelper.logError(err, stdout, stderr);
+          assert.ok(!err);
+        })
+        .on('end', function() {
+          sizes[0].should.above(0);
+          sizes[1].should.above(0);
+          done();
+        })
+        .run();
+    });
+
+    it('should report which output stream failed', function(done) {
+      this.timeout(30000);
+
+      var stream = require('stream');
+      var writeError = new Error('Write Error');
+
+      var command = this.getCommand({ source: this.testfilebig, logger: testhelper.logger });
+
+      command
+        .output(new stream.PassThrough())
+        .duration(2)
+        .noVideo()
+        .format('wav')
+        .output(new stream.Writable({
+          write: function(chunk, encoding, callback) {
+            callback(writeError);
+          }
+        }))
+        .duration(2)
+        .noAudio()
+        .format('avi')
+        .on('error', function(err) {
+          err.message.indexOf('Output stream error: ').should.equal(0);
+          assert.strictEqual(err.outputStreamError, writeError);
+          err.outputIndex.should.equal(1);
+
+          command.ffmpegProc.on('exit', function() {
+            done();
+          });
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .run();
+    });
   });
 
   describe('Inputs', function() {
@@ -1204,6 +2078,251 @@ describe('Processor', function() {
     });
   });
 
+  describe('Promises', function() {
+    it('should resolve when awaiting a saved command', function() {
+      var testFile = path.join(__dirname, 'assets', 'testPromiseSave.avi');
+      this.files.push(testFile);
+
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .usingPreset('divx')
+        .save(testFile)
+        .then(function(result) {
+          (typeof result.stderr).should.equal('string');
+          assert.strictEqual(result.filenames, null);
+          fs.existsSync(testFile).should.equal(true);
+        });
+    });
+
+    it('should still emit events when using runAsync()', function() {
+      var testFile = path.join(__dirname, 'assets', 'testPromiseRunAsync.avi');
+      this.files.push(testFile);
+
+      var startCalled = false;
+      var endCalled = false;
+
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .usingPreset('divx')
+        .output(testFile)
+        .on('start', function() {
+          startCalled = true;
+        })
+        .on('end', function() {
+          endCalled = true;
+        })
+        .runAsync()
+        .then(function(result) {
+          startCalled.should.equal(true);
+          endCalled.should.equal(true);
+          (typeof result.stdout).should.equal('string');
+        });
+    });
+
+    it('should reject with enriched ffmpeg errors', function() {
+      return this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .addOption('-invalidoption')
+        .output('/will/not/be/created/anyway')
+        .runAsync()
+        .then(function() {
+          assert.ok(false);
+        }, function(err) {
+          err.message.should.match(/Unrecognized option 'invalidoption'/);
+        });
+    });
+
+    it('should reject when no output is specified', function() {
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .runAsync()
+        .then(function() {
+          assert.ok(false);
+        }, function(err) {
+          err.message.should.equal('No output specified');
+        });
+    });
+
+    it('should resolve with screenshot filenames', function() {
+      var testFolder = path.join(__dirname, 'assets', 'screenshots_promise');
+      this.files.push(path.join(testFolder, 'tn_1.png'), path.join(testFolder, 'tn_2.png'));
+      this.dirs.push(testFolder);
+
+      return this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .screenshots({ timemarks: [0.5, 1], folder: testFolder })
+        .then(function(result) {
+          result.filenames.should.eql(['tn_1.png', 'tn_2.png']);
+        });
+    });
+
+    it('should resolve when awaiting a command after it ended', function(done) {
+      var testFile = path.join(__dirname, 'assets', 'testPromiseEnded.avi');
+      this.files.push(testFile);
+
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .usingPreset('divx')
+        .on('end', function() {
+          setImmediate(function() {
+            command.then(function(result) {
+              (typeof result.stderr).should.equal('string');
+              fs.existsSync(testFile).should.equal(true);
+            }).then(done, done);
+          });
+        });
+
+      command.save(testFile);
+    });
+
+    it('should not report unhandled rejections for unawaited commands', function(done) {
+      var unhandled = null;
+
+      function onUnhandled(reason) {
+        unhandled = reason;
+      }
+
+      process.on('unhandledRejection', onUnhandled);
+
+      this.getCommand({ source: this.testfilebig, logger: testhelper.logger })
+        .addOption('-invalidoption')
+        .on('error', function() {
+          // Give unhandled rejections a chance to be reported
+          setTimeout(function() {
+            process.removeListener('unhandledRejection', onUnhandled);
+            assert.strictEqual(unhandled, null);
+            done();
+          }, 50);
+        })
+        .save('/will/not/be/created/anyway');
+    });
+
+    it('should throw errors of commands neither awaited nor listened to', function(done) {
+      var script = `
+        var FfmpegCommand = require('.').FfmpegCommand;
+        new FfmpegCommand('/nonexistent/file.avi').output('/will/not/be/created/anyway.avi').run();
+      `;
+
+      exec(`node -e "${script}"`, { timeout: 10000 }, function(err, stdout, stderr) {
+        assert.ok(!!err);
+        err.code.should.not.equal(0);
+        stderr.should.match(/FfmpegExitError|No such file/);
+        done();
+      });
+    });
+
+    it('should not make commands awaitable before they are started', function() {
+      var command = this.getCommand({ source: this.testfile, logger: testhelper.logger });
+      (typeof command.then).should.equal('undefined');
+    });
+  });
+
+  describe('Retry', function() {
+    it('should retry on transient failures', function(done) {
+      this.timeout(20000);
+
+      var retries = [];
+
+      this.getCommand({ source: 'http://127.0.0.1:9/test.mpg', logger: testhelper.logger })
+        .output('/will/not/be/created/anyway.avi')
+        .on('retry', function(attempt, err, delay) {
+          err.reason.should.equal('connection refused');
+          retries.push([attempt, delay]);
+        })
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegExitError);
+          err.reason.should.equal('connection refused');
+          retries.should.eql([[2, 10], [3, 20]]);
+          done();
+        })
+        .on('end', function() {
+          assert.ok(false);
+        })
+        .run({ retry: { attempts: 3, backoff: 10 } });
+    });
+
+    it('should retry with the same arguments when niceness is set', function(done) {
+      this.timeout(20000);
+
+      var retries = [];
+
+      this.getCommand({ source: 'http://127.0.0.1:9/test.mpg', logger: testhelper.logger, niceness: 5 })
+        .output('/will/not/be/created/anyway.avi')
+        .on('retry', function(attempt, err) {
+          err.reason.should.equal('connection refused');
+          err.args.indexOf('-n').should.equal(-1);
+          retries.push(attempt);
+        })
+        .on('error', function(err) {
+          err.reason.should.equal('connection refused');
+          err.args.indexOf('-n').should.equal(-1);
+          retries.should.eql([2, 3]);
+          done();
+        })
+        .run({ retry: { attempts: 3, backoff: 10 } });
+    });
+
+    it('should not retry without a retry policy or on permanent failures', function(done) {
+      var command = this.getCommand({ source: path.join(__dirname, 'assets', 'missing.avi'), logger: testhelper.logger });
+      var retried = false;
+
+      command
+        .output('/will/not/be/created/anyway.avi')
+        .on('retry', function() {
+          retried = true;
+        })
+        .on('error', function(err) {
+          err.reason.should.equal('no such file');
+          retried.should.be.false();
+
+          command
+            .removeAllListeners('error')
+            .on('error', function() {
+              retried.should.be.false();
+              done();
+            })
+            .run();
+        })
+        .run({ retry: { backoff: 10 } });
+    });
+
+    it('should use custom retry conditions and backoff', function(done) {
+      var retries = [];
+
+      this.getCommand({ source: path.join(__dirname, 'assets', 'missing.avi'), logger: testhelper.logger })
+        .output('/will/not/be/created/anyway.avi')
+        .on('retry', function(attempt, err, delay) {
+          retries.push([attempt, delay]);
+        })
+        .on('error', function() {
+          retries.should.eql([[2, 5]]);
+          done();
+        })
+        .run({
+          retry: {
+            attempts: 5,
+            backoff: function(attempt) {
+              return attempt + 3;
+            },
+            retryOn: function(err, attempt) {
+              err.reason.should.equal('no such file');
+              return attempt < 2;
+            }
+          }
+        });
+    });
+
+    it('should not retry when using input streams', function(done) {
+      var retried = false;
+
+      this.getCommand({ source: fs.createReadStream(this.testfile), logger: testhelper.logger })
+        .addOption('-invalidoption')
+        .output('/will/not/be/created/anyway.avi')
+        .on('retry', function() {
+          retried = true;
+        })
+        .on('error', function() {
+          retried.should.be.false();
+          done();
+        })
+        .run({ retry: { backoff: 10, retryOn: function() { return true; } } });
+    });
+  });
+
   describe('Errors', function() {
     it('should report an error when ffmpeg has been killed', function(done) {
       this.timeout(10000);
@@ -1222,6 +2341,9 @@ describe('Processor', function() {
         })
         .on('error', function(err) {
           err.message.should.match(/ffmpeg was killed with signal SIGKILL/);
+          err.should.be.instanceOf(errors.FfmpegSignalError);
+          err.signal.should.equal('SIGKILL');
+          assert.strictEqual(err.exitCode, null);
           done();
         })
         .on('end', function() {
@@ -1239,5 +2361,45 @@ describe('Processor', function() {
         })
         .saveToFile('/will/not/be/created/anyway');
     });
+
+    it('should report ffmpeg exit code, arguments and failure reason', function(done) {
+      this.getCommand({ source: path.join(__dirname, 'assets', 'missing.avi'), logger: testhelper.logger })
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegExitError);
+          err.should.be.instanceOf(errors.FfmpegError);
+          err.name.should.equal('FfmpegExitError');
+          err.exitCode.should.be.above(0);
+          err.args.should.containEql(path.join(__dirname, 'assets', 'missing.avi'));
+          err.stderr.should.match(/No such file or directory/);
+          err.reason.should.equal('no such file');
+          done();
+        })
+        .saveToFile('/will/not/be/created/anyway.avi');
+    });
+
+    it('should report unknown encoders', function(done) {
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .outputOptions('-c:v', 'nosuchencoder')
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegExitError);
+          err.reason.should.equal('unknown encoder');
+          done();
+        })
+        .saveToFile('/will/not/be/created/anyway.avi');
+    });
+
+    it('should report unavailable codecs before running ffmpeg', function(done) {
+      this.getCommand({ source: this.testfile, logger: testhelper.logger })
+        .videoCodec('nosuchcodec')
+        .on('start', function() {
+          assert.ok(false);
+        })
+        .on('error', function(err) {
+          err.should.be.instanceOf(errors.FfmpegCapabilityError);
+          err.message.should.equal('Video codec nosuchcodec is not available');
+          done();
+        })
+        .saveToFile('/will/not/be/created/anyway.avi');
+    });
   });
 });
@@ -0,0 +1,371 @@
+/*jshint node:true*/
+/*global describe,it,beforeEach,afterEach*/
+'use strict';
+
+var FfmpegCommand = require('../index').FfmpegCommand,
+  FfmpegQueue = require('../lib/queue').FfmpegQueue,
+  EventEmitter = require('events').EventEmitter,
+  path = require('path'),
+  fs = require('fs'),
+  exec = require('child_process').exec,
+  testhelper = require('./helpers');
+
+
+// Fake command recording when it is started, ended with .finish()
+function fakeCommand(name, started) {
+  var command = new EventEmitter();
+
+  command.name = name;
+  command.niceness = null;
+
+  command.renice = function(niceness) {
+    command.niceness = niceness;
+    return command;
+  };
+
+  command.run = function() {
+    started.push(name);
+    command.emit('start', 'ffmpeg ' + name);
+  };
+
+  command.finish = function(err) {
+    if (err) {
+      command.emit('error', err, 'stdout', 'stderr');
+    } else {
+      command.emit('end', 'stdout', 'stderr');
+    }
+  };
+
+  return command;
+}
+
+
+describe('Queue', function() {
+  beforeEach(function() {
+    this.started = [];
+  });
+
+  it('should run at most `concurrency` commands at the same time', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 2 });
+    var commands = ['a', 'b', 'c'].map(function(name) {
+      return fakeCommand(name, started);
+    });
+
+    commands.forEach(function(command) {
+      queue.add(command);
+    });
+
+    queue.size.should.equal(3);
+
+    setImmediate(function() {
+      started.should.eql(['a', 'b']);
+      queue.running.should.equal(2);
+      queue.size.should.equal(1);
+
+      commands[1].finish();
+      started.should.eql(['a', 'b', 'c']);
+      queue.running.should.equal(2);
+
+      done();
+    });
+  });
+
+  it('should start jobs by order of priority', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 1 });
+
+    queue.add(fakeCommand('first', started));
+    queue.add(fakeCommand('low', started), { priority: 'low' });
+    queue.add(fakeCommand('normal1', started));
+    queue.add(fakeCommand('high', started), { priority: 'high' });
+    queue.add(fakeCommand('normal2', started));
+
+    queue.on('start', function(job) {
+      job.state.should.equal('running');
+      setImmediate(function() { job.command.finish(); });
+    });
+
+    queue.on('idle', function() {
+      started.should.eql(['high', 'first', 'normal1', 'normal2', 'low']);
+      done();
+    });
+  });
+
+  it('should reject invalid priorities and commands', function() {
+    var queue = new FfmpegQueue();
+
+    (function() {
+      queue.add(fakeCommand('a', []), { priority: 'urgent' });
+    }).should.throw('Invalid priority: urgent');
+
+    (function() {
+      queue.add(null);
+    }).should.throw('Invalid command');
+  });
+
+  it('should limit running jobs by resource class', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 3, resourceClasses: { gpu: 1 } });
+
+    var gpu1 = fakeCommand('gpu1', started);
+    queue.add(gpu1, { resourceClass: 'gpu' });
+    queue.add(fakeCommand('gpu2', started), { resourceClass: 'gpu' });
+    queue.add(fakeCommand('cpu1', started), { resourceClass: 'cpu' });
+    queue.add(fakeCommand('other', started));
+
+    setImmediate(function() {
+      started.should.eql(['gpu1', 'cpu1', 'other']);
+      queue.size.should.equal(1);
+
+      gpu1.finish();
+      started.should.eql(['gpu1', 'cpu1', 'other', 'gpu2']);
+
+      done();
+    });
+  });
+
+  it('should renice commands according to their priority', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 3, niceness: { normal: 5, low: 15 } });
+
+    var low = fakeCommand('low', started);
+    var normal = fakeCommand('normal', started);
+    var high = fakeCommand('high', started);
+
+    queue.add(low, { priority: 'low' });
+    queue.add(normal);
+    queue.add(high, { priority: 'high' });
+
+    setImmediate(function() {
+      low.niceness.should.equal(15);
+      normal.niceness.should.equal(5);
+      (high.niceness === null).should.be.true();
+
+      done();
+    });
+  });
+
+  it('should leave command niceness untouched when no niceness is set', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 2 });
+
+    var low = fakeCommand('low', started);
+    var normal = fakeCommand('normal', started);
+
+    queue.add(low, { priority: 'low' });
+    queue.add(normal);
+
+    setImmediate(function() {
+      started.should.eql(['normal', 'low']);
+      (low.niceness === null).should.be.true();
+      (normal.niceness === null).should.be.true();
+
+      done();
+    });
+  });
+
+  it('should not renice the commands a queued command was cloned from', function(done) {
+    var queue = new FfmpegQueue({ niceness: { low: 15 } });
+    var command = new FfmpegCommand({ logger: testhelper.logger, niceness: 5 });
+    var clone = command.clone();
+
+    queue.add(clone, { priority: 'low', run: function() {} });
+
+    setImmediate(function() {
+      clone.options.niceness.should.equal(15);
+      command.options.niceness.should.equal(5);
+
+      done();
+    });
+  });
+
+  it('should cancel queued jobs', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 1 });
+    var cancelled = [];
+
+    queue.on('cancel', function(job) {
+      job.state.should.equal('cancelled');
+      cancelled.push(job.command.name);
+    });
+
+    var running = queue.add(fakeCommand('running', started));
+    var job = queue.add(fakeCommand('job', started));
+    var command = fakeCommand('command', started);
+    queue.add(command);
+    queue.add(fakeCommand('cleared', started));
+
+    job.cancel().should.be.true();
+    queue.cancel(command).should.be.true();
+    queue.cancel(command).should.be.false();
+
+    setImmediate(function() {
+      running.cancel().should.be.false();
+      running.state.should.equal('running');
+
+      queue.clear().length.should.equal(1);
+      cancelled.should.eql(['job', 'command', 'cleared']);
+
+      queue.on('idle', function() {
+        started.should.eql(['running']);
+        done();
+      });
+
+      running.command.finish();
+    });
+  });
+
+  it('should re-emit command events', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 1 });
+    var events = [];
+
+    var ok = fakeCommand('ok', started);
+    var failing = fakeCommand('failing', started);
+    var error = new Error('failed');
+
+    var okJob = queue.add(ok);
+    var failingJob = queue.add(failing);
+
+    queue
+      .on('start', function(job, commandLine) {
+        events.push(['start', job.command.name, commandLine]);
+        setImmediate(function() {
+          job.command.emit('progress', { percent: 50 });
+          job.command.finish(job === failingJob ? error : null);
+        });
+      })
+      .on('progress', function(job, progress) {
+        events.push(['progress', job.command.name, progress.percent]);
+      })
+      .on('end', function(job, stdout, stderr) {
+        events.push(['end', job.command.name, stdout, stderr]);
+      })
+      .on('error', function(err, job, stdout, stderr) {
+        events.push(['error', job.command.name, err.message, stdout, stderr]);
+      })
+      .on('drain', function() {
+        events.push(['drain']);
+      })
+      .on('idle', function() {
+        events.should.eql([
+          ['start', 'ok', 'ffmpeg ok'],
+          ['progress', 'ok', 50],
+          ['end', 'ok', 'stdout', 'stderr'],
+          ['start', 'failing', 'ffmpeg failing'],
+          ['drain'],
+          ['progress', 'failing', 50],
+          ['error', 'failing', 'failed', 'stdout', 'stderr']
+        ]);
+
+        okJob.state.should.equal('ended');
+        failingJob.state.should.equal('failed');
+        failingJob.error.should.equal(error);
+
+        ok.listenerCount('end').should.equal(0);
+        failing.listenerCount('error').should.equal(0);
+
+        done();
+      });
+  });
+
+  it('should report errors thrown when starting commands', function(done) {
+    var queue = new FfmpegQueue();
+    var command = fakeCommand('throwing', this.started);
+
+    command.run = function() {
+      throw new Error('No output specified');
+    };
+
+    var job = queue.add(command);
+
+    queue.on('error', function(err, errJob) {
+      err.message.should.equal('No output specified');
+      errJob.should.equal(job);
+      job.state.should.equal('failed');
+      queue.running.should.equal(0);
+      done();
+    });
+  });
+
+  it('should keep running jobs when errors are not listened to', function(done) {
+    var started = this.started;
+    var queue = new FfmpegQueue({ concurrency: 1 });
+
+    var failing = fakeCommand('failing', started);
+    var next = fakeCommand('next', started);
+
+    var failingJob = queue.add(failing);
+    queue.add(next);
+
+    queue.on('idle', function() {
+      started.should.eql(['failing', 'next']);
+      failingJob.state.should.equal('failed');
+      failingJob.error.message.should.equal('failed');
+
+      done();
+    });
+
+    setImmediate(function() {
+      failing.finish(new Error('failed'));
+      next.finish();
+    });
+  });
+
+  describe('with ffmpeg', function() {
+    beforeEach(function(done) {
+      this.testfile = path.join(__dirname, 'assets', 'testvideo-43.avi');
+      this.files = [];
+
+      exec(testhelper.getFfmpegCheck(), function(err) {
+        done(err ? new Error('cannot run test without ffmpeg installed, aborting test...') : null);
+      });
+    });
+
+    afterEach(function() {
+      this.files.forEach(function(file) {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      });
+    });
+
+    it('should run queued ffmpeg commands', function(done) {
+      this.timeout(60000);
+
+      var testfile = this.testfile;
+      var files = this.files;
+      var queue = new FfmpegQueue({ concurrency: 1 });
+      var ended = [];
+
+      ['one', 'two'].forEach(function(name) {
+        var output = path.join(__dirname, 'assets', 'testQueue-' + name + '.avi');
+        files.push(output);
+
+        queue.add(
+          new FfmpegCommand({ source: testfile, logger: testhelper.logger })
+            .duration(0.5)
+            .output(output),
+          { priority: name === 'two' ? 'high' : 'normal' }
+        );
+      });
+
+      queue
+        .on('end', function(job) {
+          ended.push(job);
+        })
+        .on('error', function(err) {
+          done(err);
+        })
+        .on('idle', function() {
+          ended.length.should.equal(2);
+          files.forEach(function(file) {
+            fs.existsSync(file).should.be.true();
+          });
+
+          done();
+        });
+    });
+  });
+});
@@ -2,6 +2,7 @@
 /*global describe,it*/
 'use strict';
 
+var assert = require('assert');
 var utils = require('../lib/utils');
 
 describe('Utilities', function() {
@@ -114,6 +115,402 @@ describe('Utilities', function() {
     });
   });
 
+  describe('Progress extraction', function() {
+    function fakeCommand(duration) {
+      var events = [];
+      var output = { target: '/path/to/output.avi' };
+
+      ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'options'].forEach(function(key) {
+        output[key] = utils.args();
+      });
+
+      return {
+        _inputs: [{ source: '/path/to/input.avi', options: utils.args() }],
+        _outputs: [output],
+        _complexFilters: utils.args(),
+        _ffprobeData: duration ? { format: { duration: duration } } : undefined,
+        events: events,
+        emit: function(event, data) {
+          events.push([event, data]);
+        }
+      };
+    }
+
+    it('should extract progress from stderr lines', function() {
+      var command = fakeCommand(10);
+
+      utils.extractProgress(command, 'frame=  125 fps= 25 q=2.0 size=     512kB time=00:00:05.00 bitrate= 838.9kbits/s dup=2 drop=1 speed=1.5x');
+
+      command.events.length.should.equal(1);
+      command.events[0][0].should.equal('progress');
+      command.events[0][1].should.eql({
+        frames: 125,
+        currentFps: 25,
+        currentKbps: 838.9,
+        targetSize: 512,
+        timemark: '00:00:05.00',
+        dupFrames: 2,
+        dropFrames: 1,
+        speed: 1.5,
+        percent: 50
+      });
+    });
+
+    it('should extract progress from -progress output blocks', function() {
+      var command = fakeCommand(10);
+      var block = {};
+
+      [
+        'frame=125',
+        'fps=25.00',
+        'stream_0_0_q=2.0',
+        'bitrate= 838.9kbits/s',
+        'total_size=524288',
+        'out_time_us=2500000',
+        'out_time_ms=2500000',
+        'out_time=00:00:02.500000',
+        'dup_frames=2',
+        'drop_frames=1',
+        'speed=1.5x',
+        'progress=continue'
+      ].forEach(function(line) {
+        utils.extractProgressPipe(command, line, block);
+      });
+
+      command.events.length.should.equal(1);
+      command.events[0][0].should.equal('progress');
+      command.events[0][1].should.eql({
+        frames: 125,
+        currentFps: 25,
+        currentKbps: 838.9,
+        targetSize: 512,
+        timemark: '00:00:02.500000',
+        dupFrames: 2,
+        dropFrames: 1,
+        speed: 1.5,
+        status: 'continue',
+        percent: 25
+      });
+
+      block.should.eql({});
+    });
+
+    it('should report the end of -progress output', function() {
+      var command = fakeCommand();
+      var block = {};
+
+      ['frame=250', 'out_time=00:00:10.000000', 'speed= 157x', 'progress=end'].forEach(function(line) {
+        utils.extractProgressPipe(command, line, block);
+      });
+
+      command.events.length.should.equal(1);
+      command.events[0][1].status.should.equal('end');
+      command.events[0][1].speed.should.equal(157);
+      command.events[0][1].should.not.have.property('percent');
+    });
+  });
+
+  describe('Progress percentage', function() {
+    function fakeCommand(durations) {
+      var events = [];
+
+      var command = {
+        _inputs: [],
+        _inputsProbeData: [],
+        _outputs: [],
+        _complexFilters: utils.args(),
+        events: events,
+        emit: function(event, data) {
+          events.push([event, data]);
+        },
+
+        input: function(duration) {
+          command._inputs.push({ source: '/path/to/input.avi', options: utils.args() });
+          command._inputsProbeData.push(duration === null ? undefined : {
+            format: { duration: String(duration) },
+            streams: [{ codec_type: 'video', avg_frame_rate: '25/1', r_frame_rate: '25/1' }]
+          });
+
+          return command._inputs[command._inputs.length - 1];
+        },
+
+        output: function() {
+          var output = { target: '/path/to/output.avi' };
+
+          ['audio', 'audioFilters', 'video', 'videoFilters', 'sizeFilters', 'options'].forEach(function(key) {
+            output[key] = utils.args();
+          });
+
+          command._outputs.push(output);
+          return output;
+        },
+
+        percent: function(timemark) {
+          utils.extractProgress(command, 'frame=  125 fps= 25 q=2.0 size=     512kB time=' + timemark + ' bitrate= 838.9kbits/s');
+          return events[events.length - 1][1].percent;
+        }
+      };
+
+      (durations || []).forEach(command.input);
+      return command;
+    }
+
+    it('should use the longest input duration', function() {
+      var command = fakeCommand([10, 20]);
+      command.output();
+
+      command.percent('00:00:05.00').should.equal(25);
+    });
+
+    it('should use the shortest input duration with -shortest', function() {
+      var command = fakeCommand([10, 20]);
+      command.output().options('-shortest');
+
+      command.percent('00:00:05.00').should.equal(50);
+    });
+
+    it('should sum input durations when concatenating inputs', function() {
+      var command = fakeCommand([10, 30]);
+      command._complexFilters('-filter_complex', 'concat=n=2:v=1:a=1');
+      command.output();
+
+      command.percent('00:00:10.00').should.equal(25);
+    });
+
+    it('should take input seeking and durations into account', function() {
+      var command = fakeCommand();
+      command.input(60).options('-ss', '00:00:40');
+      command.output();
+
+      command.percent('00:00:05.00').should.equal(25);
+
+      command = fakeCommand();
+      command.input(60).options('-t', 10);
+      command.output();
+
+      command.percent(5).should.equal(50);
+    });
+
+    it('should take output seeking, durations and frame counts into account', function() {
+      var command = fakeCommand([60]);
+      command.output().options('-ss', 50);
+
+      command.percent('00:00:05.00').should.equal(50);
+
+      command = fakeCommand([60]);
+      command.output().options('-t', '00:00:20');
+
+      command.percent('00:00:05.00').should.equal(25);
+
+      command = fakeCommand([60]);
+      command.output().video('-vframes', 250);
+
+      command.percent('00:00:05.00').should.equal(50);
+
+      command = fakeCommand([60]);
+      command.output().video('-vframes', 250, '-r', 50);
+
+      command.percent('00:00:04.00').should.equal(80);
+    });
+
+    it('should take looping into account', function() {
+      var command = fakeCommand();
+      command.input(10).options('-stream_loop', 3);
+      command.output();
+
+      command.percent('00:00:10.00').should.equal(25);
+
+      command = fakeCommand();
+      command.input(10).options('-loop', '1');
+      command.output();
+
+      assert.ok(command.percent('00:00:10.00') === undefined);
+
+      command = fakeCommand();
+      command.input(10).options('-loop', '1');
+      command.output().options('-t', 40);
+
+      command.percent('00:00:10.00').should.equal(25);
+    });
+
+    it('should not report percentage when input durations are unknown', function() {
+      var command = fakeCommand([10, null]);
+      command.output();
+
+      assert.ok(command.percent('00:00:05.00') === undefined);
+
+      command = fakeCommand([10, null]);
+      command.output().options('-t', 20);
+
+      command.percent('00:00:05.00').should.equal(25);
+    });
+
+    it('should never report more than 100%', function() {
+      var command = fakeCommand([10]);
+      command.output();
+
+      command.percent('00:00:30.00').should.equal(100);
+    });
+
+    it('should report elapsed time and ETA', function() {
+      var command = fakeCommand([60]);
+      command.output();
+      command._startTime = Date.now() - 12000;
+      command._pausedTime = 2000;
+
+      var block = { out_time_us: '20000000', speed: '2x' };
+      utils.extractProgressPipe(command, 'progress=continue', block);
+
+      var progress = command.events[0][1];
+      progress.elapsed.should.be.approximately(10, 0.5);
+      progress.eta.should.be.approximately(20, 0.5);
+
+      // Without speed information, use processing speed so far
+      delete block.speed;
+      block.out_time_us = '20000000';
+      utils.extractProgressPipe(command, 'progress=continue', block);
+
+      progress = command.events[1][1];
+      progress.eta.should.be.approximately(20, 1);
+    });
+  });
+
+  describe('Abort signals', function() {
+    it('should create errors named AbortError', function() {
+      var controller = new AbortController();
+      controller.abort('reason');
+
+      var err = utils.abortError(controller.signal);
+      err.name.should.equal('AbortError');
+      err.code.should.equal('ABORT_ERR');
+      err.cause.should.equal('reason');
+    });
+
+    it('should return the only signal given', function() {
+      var controller = new AbortController();
+      utils.anySignal([controller.signal, null]).signal.should.equal(controller.signal);
+      (typeof utils.anySignal([undefined, null]).signal).should.equal('undefined');
+    });
+
+    it('should abort combined signals when any signal aborts', function() {
+      var first = new AbortController();
+      var second = new AbortController();
+      var combined = utils.anySignal([first.signal, second.signal]);
+
+      combined.signal.aborted.should.equal(false);
+      second.abort('second');
+      combined.signal.aborted.should.equal(true);
+      combined.signal.reason.should.equal('second');
+    });
+
+    it('should combine already aborted signals', function() {
+      var first = new AbortController();
+      var second = new AbortController();
+      first.abort('first');
+
+      var combined = utils.anySignal([first.signal, second.signal]);
+      combined.signal.aborted.should.equal(true);
+      combined.signal.reason.should.equal('first');
+    });
+
+    it('should stop following signals when disposed', function() {
+      var first = new AbortController();
+      var second = new AbortController();
+      var combined = utils.anySignal([first.signal, second.signal]);
+
+      combined.dispose();
+      first.abort();
+      combined.signal.aborted.should.equal(false);
+    });
+  });
+
+  describe('Benchmark extraction', function() {
+    var stderr = [
+      'frame=   10 fps=0.0 q=-0.0 Lsize=N/A time=00:00:02.00 bitrate=N/A speed=73.5x',
+      'bench: utime=0.014s stime=0.002s rtime=0.031s',
+      'bench: maxrss=17640kB',
+      ''
+    ].join('\n');
+
+    it('should parse benchmark results', function() {
+      utils.extractBenchmark(stderr).should.eql({
+        utime: 0.014,
+        stime: 0.002,
+        rtime: 0.031,
+        maxrss: 17640
+      });
+    });
+
+    it('should return null without benchmark results', function() {
+      (utils.extractBenchmark('frame=   10 fps=0.0\n') === null).should.be.true();
+    });
+
+    it('should ignore benchmark results in error messages', function() {
+      utils.extractError('[avi @ 0x1234] some warning\nConversion failed!\n' + stderr.split('\n').slice(1).join('\n'))
+        .should.equal('Conversion failed!\n');
+    });
+  });
+
+  describe('Keyframe segments', function() {
+    var keyframes = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    it('should split at the first keyframe after each boundary', function() {
+      utils.keyframeSegments(keyframes, 10, { chunks: 3 }).should.eql([
+        { start: 0, duration: 4 },
+        { start: 4, duration: 3 },
+        { start: 7, duration: null }
+      ]);
+    });
+
+    it('should split by segment duration', function() {
+      utils.keyframeSegments(keyframes, 10, { segmentDuration: 4.5 }).should.eql([
+        { start: 0, duration: 5 },
+        { start: 5, duration: 4 },
+        { start: 9, duration: null }
+      ]);
+    });
+
+    it('should return fewer segments when keyframes are missing', function() {
+      utils.keyframeSegments([0, 8], 10, { chunks: 4 }).should.eql([
+        { start: 0, duration: 8 },
+        { start: 8, duration: null }
+      ]);
+
+      utils.keyframeSegments([0], 10, { chunks: 4 }).should.eql([
+        { start: 0, duration: null }
+      ]);
+    });
+  });
+
+  describe('Filter graph parsing', function() {
+    it('should split filter graphs into chains and filters', function() {
+      utils.parseFilterGraph('scale=320:240,hflip;[0:a]volume=2').should.eql([
+        [
+          { name: 'scale', inputs: [], outputs: [] },
+          { name: 'hflip', inputs: [], outputs: [] }
+        ],
+        [
+          { name: 'volume', inputs: ['0:a'], outputs: [] }
+        ]
+      ]);
+    });
+
+    it('should parse stream labels', function() {
+      utils.parseFilterGraph('[0:v] [1:v] overlay=x=10 [out1][out2]').should.eql([
+        [{ name: 'overlay', inputs: ['0:v', '1:v'], outputs: ['out1', 'out2'] }]
+      ]);
+    });
+
+    it('should ignore separators in quoted and escaped filter options', function() {
+      utils.parseFilterGraph('drawtext=text=\'a,b;[c]\':x=1\\,2,select@sel=eq(n\\,0)[out]').should.eql([
+        [
+          { name: 'drawtext', inputs: [], outputs: [] },
+          { name: 'select', inputs: [], outputs: ['out'] }
+        ]
+      ]);
+    });
+  });
+
   describe('Lines ring buffer', function() {
     it('should append lines', function() {
       var ring = utils.linesRing(100);